@@ -1,7 +1,12 @@
-const { app, BrowserWindow, Menu, Tray, dialog, shell, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, Tray, dialog, shell, ipcMain, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const StremioPlaylistServer = require('./index');
+const { parseProfileList } = require('./src/utils/debridioProfiles');
+const { redactString } = require('./src/utils/redact');
+const { isEncryptedSecret, encryptSecret, decryptSecret } = require('./src/utils/secretStore');
 
 class ElectronApp {
   constructor() {
@@ -9,8 +14,8 @@ class ElectronApp {
     this.tray = null;
     this.server = null;
     this.serverPort = this.loadPortFromConfig();
-    this.secureAddonsUrl = null;
-    this.userConfig = null;
+    this.userConfig = null; // Debridio URLs in here are stored encrypted, see sealUrl()
+    this.secretKey = null; // Fallback encryption key, read from secret.key on first use
     
     // Load user configuration
     this.loadUserConfig();
@@ -53,6 +58,8 @@ class ElectronApp {
 
   setupAppHandlers() {
     app.whenReady().then(() => {
+      // safeStorage only works once the app is ready
+      this.migrateUserConfig();
       this.killExistingInstances();
       this.createWindow();
       this.createTray();
@@ -88,11 +95,14 @@ class ElectronApp {
         this.userConfig = JSON.parse(configData);
         console.log('Loaded user config from:', configPath);
         
-        // Use saved Debridio URL if available
         if (this.userConfig.debridioUrl) {
-          this.secureAddonsUrl = this.userConfig.debridioUrl;
           console.log('Using saved Debridio URL from user config');
         }
+        
+        // Additional Debridio profiles, e.g. one per region bundle
+        if (Array.isArray(this.userConfig.debridioProfiles)) {
+          console.log(`Using ${this.userConfig.debridioProfiles.length} additional Debridio profile(s) from user config`);
+        }
       } else {
         console.log('No user config found, will create on first setup');
         this.userConfig = {};
@@ -113,22 +123,152 @@ class ElectronApp {
         fs.mkdirSync(userDataPath, { recursive: true });
       }
       
-      fs.writeFileSync(configPath, JSON.stringify(this.userConfig, null, 2));
+      fs.writeFileSync(configPath, JSON.stringify(this.userConfig, null, 2), { mode: 0o600 });
       console.log('Saved user config to:', configPath);
     } catch (error) {
       console.error('Error saving user config:', error);
     }
   }
 
+  // Key material for the scrypt fallback when the OS keychain isn't available: RESOLVER_SECRET_PASSPHRASE,
+  // or else a random key kept next to user-config.json
+  getSecretOptions() {
+    return {
+      safeStorage,
+      passphrase: process.env.RESOLVER_SECRET_PASSPHRASE || this.getSecretKey()
+    };
+  }
+
+  // Created on first use and readable only by this user account. It only keeps the URLs out of copies of
+  // user-config.json made without it; anyone who can read both files can decrypt them
+  getSecretKey() {
+    if (!this.secretKey) {
+      const keyPath = path.join(app.getPath('userData'), 'secret.key');
+      if (!fs.existsSync(keyPath)) {
+        fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+        fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+      }
+      this.secretKey = fs.readFileSync(keyPath, 'utf8').trim();
+    }
+    return this.secretKey;
+  }
+
+  // Earlier versions derived the fallback key from the machine name, user account and data directory, which
+  // anyone can guess. Only used to decrypt URLs saved that way so they can be encrypted again
+  getLegacySecretOptions() {
+    return {
+      safeStorage,
+      passphrase: `${os.hostname()}:${os.userInfo().username}:${app.getPath('userData')}`
+    };
+  }
+
+  // What the settings dialog shows instead of the URL: its origin, plus a fingerprint that tells apart
+  // profiles on the same host. Nothing from the path or query, where the Debridio config lives
+  urlHint(url) {
+    const fingerprint = crypto.createHash('sha256').update(url).digest('hex').slice(0, 6);
+    let origin = '';
+    try {
+      origin = new URL(url).origin;
+    } catch (error) {
+      // Not a URL - show the fingerprint alone
+    }
+    return `${origin}/***${fingerprint}`;
+  }
+
+  // Encrypts a Debridio URL for user-config.json
+  sealUrl(url) {
+    return {
+      hint: this.urlHint(url),
+      secret: encryptSecret(url, this.getSecretOptions())
+    };
+  }
+
+  // Returns the sealed URL re-encrypted with the current key and given the current hint, or null if it has both
+  resealUrl(sealed) {
+    let url;
+    try {
+      url = decryptSecret(sealed.secret, this.getSecretOptions());
+    } catch (error) {
+      return this.sealUrl(decryptSecret(sealed.secret, this.getLegacySecretOptions()));
+    }
+    return sealed.hint === this.urlHint(url) ? null : { ...sealed, hint: this.urlHint(url) };
+  }
+
+  // Decrypts a sealed URL - only call this right before handing the URL to the server
+  unsealUrl(sealed) {
+    return typeof sealed === 'string' ? sealed : decryptSecret(sealed.secret, this.getSecretOptions());
+  }
+
+  isSealedUrl(value) {
+    return Boolean(value) && typeof value === 'object' && isEncryptedSecret(value.secret);
+  }
+
+  // Encrypts Debridio URLs saved in plain text by earlier versions, and re-encrypts ones saved with the old
+  // fallback key or a hint that showed part of the URL
+  migrateUserConfig() {
+    let migrated = false;
+    const migrateUrl = (value) => {
+      if (!this.isSealedUrl(value)) {
+        migrated = true;
+        return this.sealUrl(value);
+      }
+      try {
+        const resealed = this.resealUrl(value);
+        migrated = migrated || resealed !== null;
+        return resealed || value;
+      } catch (error) {
+        console.error('Could not re-encrypt a saved Debridio URL:', error.message);
+        return value;
+      }
+    };
+
+    if (this.userConfig.debridioUrl) {
+      this.userConfig.debridioUrl = migrateUrl(this.userConfig.debridioUrl);
+    } else if (this.userConfig.debridioUrl === '') {
+      this.userConfig.debridioUrl = null;
+      migrated = true;
+    }
+
+    if (Array.isArray(this.userConfig.debridioProfiles)) {
+      this.userConfig.debridioProfiles = this.userConfig.debridioProfiles.map(profile => ({
+        label: profile.label,
+        url: migrateUrl(profile.url)
+      }));
+    }
+
+    if (migrated) {
+      this.saveUserConfig();
+      console.log('Encrypted Debridio URLs in user config');
+    }
+  }
+
   setupIPC() {
     // Handle settings requests
+    // The settings dialog only ever sees masked URLs; saving a masked URL unchanged keeps the stored one
     ipcMain.handle('get-debridio-url', () => {
-      return this.userConfig.debridioUrl || '';
+      return this.userConfig.debridioUrl ? this.userConfig.debridioUrl.hint : '';
     });
 
     ipcMain.handle('save-debridio-url', (event, url) => {
-      this.userConfig.debridioUrl = url;
-      this.secureAddonsUrl = url;
+      if (!this.userConfig.debridioUrl || this.userConfig.debridioUrl.hint !== url) {
+        this.userConfig.debridioUrl = this.sealUrl(url);
+      }
+      this.saveUserConfig();
+      return true;
+    });
+
+    ipcMain.handle('get-debridio-profiles', () => {
+      return (this.userConfig.debridioProfiles || [])
+        .map(profile => profile.label ? `${profile.label}|${profile.url.hint}` : profile.url.hint)
+        .join('\n');
+    });
+
+    ipcMain.handle('save-debridio-profiles', (event, text) => {
+      const savedProfiles = this.userConfig.debridioProfiles || [];
+      this.userConfig.debridioProfiles = parseProfileList(text).map(profile => {
+        const saved = savedProfiles.find(candidate => candidate.url.hint === profile.url);
+        return { label: profile.label, url: saved ? saved.url : this.sealUrl(profile.url) };
+      });
       this.saveUserConfig();
       return true;
     });
@@ -148,12 +288,13 @@ class ElectronApp {
     ipcMain.handle('clear-debridio-url', async () => {
       try {
         // Clear the user config
-        this.userConfig.debridioUrl = '';
-        this.secureAddonsUrl = null;
+        this.userConfig.debridioUrl = null;
+        this.userConfig.debridioProfiles = [];
         this.saveUserConfig();
         
-        // Clear environment variable
+        // Clear environment variables
         delete process.env.SECURE_DEBRIDIO_URL;
+        delete process.env.SECURE_DEBRIDIO_URLS;
         
         // Stop the server
         if (this.server) {
@@ -230,7 +371,7 @@ class ElectronApp {
 
     // Wait for server to be ready before deciding what to show
     setTimeout(() => {
-      if (!this.secureAddonsUrl) {
+      if (!this.userConfig.debridioUrl) {
         console.log('No secure addon URL found, showing settings dialog');
         this.showSettingsDialog();
       } else {
@@ -367,6 +508,22 @@ class ElectronApp {
             outline: none;
             border-color: #00ccff;
         }
+        textarea {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #444;
+            border-radius: 6px;
+            background: #333;
+            color: #fff;
+            font-size: 13px;
+            font-family: monospace;
+            box-sizing: border-box;
+            resize: vertical;
+        }
+        textarea:focus {
+            outline: none;
+            border-color: #00ccff;
+        }
         .example {
             background: #333;
             padding: 8px;
@@ -445,6 +602,17 @@ class ElectronApp {
                 </div>
             </div>
             
+            <div class="form-group">
+                <label for="debridioProfiles">Additional Debridio profiles (optional):</label>
+                <textarea id="debridioProfiles" rows="4" placeholder="Europe|https://tv-addon.debridio.com/another-config/manifest.json"></textarea>
+                <div class="help-text">
+                    One profile per line as Label|URL. Each profile is fetched separately and shown on its own in the status page.
+                </div>
+                <div id="profilesError" style="color: #ff4444; font-size: 12px; margin-top: 4px; display: none;">
+                    Every profile must have a valid Debridio manifest URL (must contain 'debridio.com' and end with 'manifest.json')
+                </div>
+            </div>
+            
             <div class="button-group">
                 <button type="submit" class="btn-primary">Save & Start</button>
                 <button type="button" id="cancelBtn" class="btn-secondary">Cancel</button>
@@ -461,6 +629,10 @@ class ElectronApp {
                 document.getElementById('debridioUrl').value = url;
             }
         });
+        
+        ipcRenderer.invoke('get-debridio-profiles').then(profiles => {
+            document.getElementById('debridioProfiles').value = profiles || '';
+        });
 
         // Enable right-click context menu for paste functionality
         document.addEventListener('contextmenu', async (e) => {
@@ -561,8 +733,22 @@ class ElectronApp {
                 return;
             }
             
+            // Validate the URL part of every additional profile line
+            const profilesText = document.getElementById('debridioProfiles').value.trim();
+            const profileUrls = profilesText
+                .split(/[\r\n,]+/)
+                .map(line => line.trim())
+                .filter(Boolean)
+                .map(line => line.slice(line.indexOf('|') + 1).trim());
+            if (!profileUrls.every(validateDebridioUrl)) {
+                document.getElementById('profilesError').style.display = 'block';
+                return;
+            }
+            document.getElementById('profilesError').style.display = 'none';
+            
             if (url) {
                 await ipcRenderer.invoke('save-debridio-url', url);
+                await ipcRenderer.invoke('save-debridio-profiles', profilesText);
                 
                 // Show loading message
                 document.body.innerHTML = '<div style="background:#1a1a1a;color:#00ff00;padding:20px;font-family:monospace;text-align:center;height:100vh;display:flex;flex-direction:column;justify-content:center;"><h1>🎬 Restarting Server</h1><p>Please wait while the server restarts with your new configuration...</p><div style="margin:20px;">⏳</div></div>';
@@ -850,6 +1036,13 @@ class ElectronApp {
       // Add initial message
       window.addLogEntry('info', 'Logging overlay initialized');
     `);
+
+      // Entries logged before the overlay existed come from the server's log buffer; new ones arrive via setElectronLogCallback
+      if (this.server && this.server.logger) {
+        for (const entry of this.server.logger.getEntries({ limit: 200 })) {
+          this.sendLogToWindow(entry.level, `[${entry.service || 'Server'}] ${entry.message}`);
+        }
+      }
     } catch (error) {
       console.error('Error injecting logging overlay:', error);
     }
@@ -931,17 +1124,37 @@ class ElectronApp {
   async startServer() {
     console.log('=== ELECTRON startServer() method called ===');
     try {
-      // If secureAddonsUrl is provided, inject it into the environment
-      // Clear any existing environment variable to prevent duplicates
+      // If a Debridio URL is saved, decrypt it into the environment
+      // Clear any existing environment variables to prevent duplicates
       delete process.env.SECURE_DEBRIDIO_URL;
+      delete process.env.SECURE_DEBRIDIO_URLS;
       
       // Set the environment variable ONLY if we have a URL from user config
-      if (this.secureAddonsUrl) {
-        process.env.SECURE_DEBRIDIO_URL = this.secureAddonsUrl;
-        console.log('Set secure Debridio URL for server: ' + this.secureAddonsUrl);
+      if (this.userConfig.debridioUrl) {
+        try {
+          process.env.SECURE_DEBRIDIO_URL = this.unsealUrl(this.userConfig.debridioUrl);
+          console.log('Set secure Debridio URL for server: ' + redactString(process.env.SECURE_DEBRIDIO_URL));
+        } catch (error) {
+          console.error('Could not decrypt the saved Debridio URL, please enter it again:', error.message);
+        }
       } else {
         console.log('No Debridio URL configured - server will run without Debridio content');
       }
+      
+      const debridioProfiles = this.userConfig.debridioProfiles || [];
+      if (debridioProfiles.length > 0) {
+        try {
+          process.env.SECURE_DEBRIDIO_URLS = debridioProfiles
+            .map(profile => {
+              const url = this.unsealUrl(profile.url);
+              return profile.label ? `${profile.label}|${url}` : url;
+            })
+            .join('\n');
+          console.log(`Set ${debridioProfiles.length} additional Debridio profile(s) for server`);
+        } catch (error) {
+          console.error('Could not decrypt the saved Debridio profiles, please enter them again:', error.message);
+        }
+      }
 
       console.log('Creating StremioPlaylistServer...');
       this.server = new StremioPlaylistServer();
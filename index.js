@@ -2,13 +2,41 @@ const express = require('express');
 const cron = require('node-cron');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const StremioService = require('./src/services/stremioService');
 const PlaylistGenerator = require('./src/services/playlistGenerator');
+const EpgGenerator = require('./src/services/epgGenerator');
+const StreamResolver = require('./src/services/streamResolver');
+const HdHomeRunService = require('./src/services/hdhomerunService');
+const SsdpResponder = require('./src/services/ssdpResponder');
+const SnapshotStore = require('./src/services/snapshotStore');
+const HealthChecker = require('./src/services/healthChecker');
+const LineupMapper = require('./src/services/lineupMapper');
+const BackupManager = require('./src/services/backupManager');
+const AuthService = require('./src/services/authService');
+const RefreshHistory = require('./src/services/refreshHistory');
+const MediaServerNotifier = require('./src/services/mediaServerNotifier');
+const WebhookService = require('./src/services/webhookService');
 const Logger = require('./src/utils/logger');
+const { normalizeAddonUrl, isDebridioUrl, parseProfileList, normalizeProfiles } = require('./src/utils/debridioProfiles');
+const { parsePlaylistFilters } = require('./src/utils/playlistFilters');
+const { parseLogFilters } = require('./src/utils/logFilters');
+const { validateConfig } = require('./src/utils/configSchema');
+const { redactValue } = require('./src/utils/redact');
+const { MetricsRegistry } = require('./src/utils/metrics');
 const MESSAGES = require('./src/messages');
 
 // Load environment variables from .env file
-require('dotenv').config();
+const dotenv = require('dotenv');
+const ENV_PATH = path.resolve(process.cwd(), '.env');
+const envFileResult = dotenv.config({ path: ENV_PATH });
+
+// Refresh duration histogram buckets, in seconds
+const REFRESH_DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1200];
+
+// Delay before a changed config.json/.env is reloaded, so editors that save in several writes only trigger one reload
+const CONFIG_RELOAD_DEBOUNCE_MS = 500;
+const LOG_STREAM_HEARTBEAT_MS = 30 * 1000; // Comment lines that keep proxies from closing idle log streams
 
 class StremioPlaylistServer {
   constructor() {
@@ -17,10 +45,67 @@ class StremioPlaylistServer {
     this.logger = null;
     this.stremioService = null;
     this.playlistGenerator = null;
+    this.epgGenerator = null;
+    this.streamResolver = null;
+    this.hdhomerunService = null;
+    this.ssdpResponder = null;
+    this.publicUrl = null; // URL the services were last built with, so reloads can tell when it changes
     this.cronJob = null;
     this.lastUpdate = null;
     this.isUpdating = false;
+    this.latestContent = null; // Validated content from the last successful generation
+    this.restoredBackup = null; // Backup published since the last generation; latestContent doesn't match the playlist file until the next one
+    this.degraded = null; // Details of the last refresh that was rejected in favour of the last good playlist
+    this.degradedRetryTimer = null;
     this.electronLogCallback = null; // For electron app log forwarding
+    this.unsubscribeElectronLogs = null;
+    this.httpServer = null;
+    this.configPath = null;
+    this.watchedFiles = [];
+    this.reloadTimer = null;
+    this.envFileValues = envFileResult.parsed || {}; // Values last applied from .env, so reloads can tell them apart from the real environment
+    this.playlistCounts = { channels: 0, streams: 0 }; // Size of the published playlist, for /metrics
+    this.metrics = this.createMetrics(); // Lives on the server rather than a service so counters survive config reloads
+  }
+
+  createMetrics() {
+    const registry = new MetricsRegistry();
+
+    return {
+      registry,
+      refreshDuration: registry.histogram('resolver_refresh_duration_seconds', 'Duration of playlist refreshes by outcome', REFRESH_DURATION_BUCKETS),
+      refreshes: registry.counter('resolver_refreshes_total', 'Playlist refreshes by outcome (success, degraded, failure)'),
+      lastSuccess: registry.gauge('resolver_last_refresh_success_timestamp_seconds', 'Unix time of the last successful refresh',
+        () => this.lastUpdate ? [{ value: Date.parse(this.lastUpdate) / 1000 }] : []),
+      updating: registry.gauge('resolver_refresh_in_progress', 'Whether a refresh is running right now',
+        () => [{ value: this.isUpdating ? 1 : 0 }]),
+      degraded: registry.gauge('resolver_playlist_degraded', 'Whether the last refresh was rejected and the last good playlist is being served',
+        () => [{ value: this.degraded ? 1 : 0 }]),
+      channels: registry.gauge('resolver_channels', 'Channels in the published playlist',
+        () => [{ value: this.playlistCounts.channels }]),
+      streams: registry.gauge('resolver_streams', 'Streams across all channels in the published playlist',
+        () => [{ value: this.playlistCounts.streams }]),
+      addonFetches: registry.counter('resolver_addon_fetches_total', 'Addon requests by addon, category and result'),
+      logoCache: registry.counter('resolver_logo_cache_lookups_total', 'Logo lookups by cache result (hit, miss)',
+        () => {
+          const stats = this.stremioService?.logoService?.cacheStats || { hits: 0, misses: 0 };
+          return [{ labels: { result: 'hit' }, value: stats.hits }, { labels: { result: 'miss' }, value: stats.misses }];
+        }),
+      httpRequests: registry.counter('resolver_http_requests_total', 'HTTP requests by method, route and status code')
+    };
+  }
+
+  recordRefreshMetrics(outcome, startTime) {
+    this.metrics.refreshes.inc({ outcome });
+    this.metrics.refreshDuration.observe({ outcome }, (Date.now() - startTime) / 1000);
+
+    for (const result of this.stremioService.sourceResults) {
+      this.metrics.addonFetches.inc({
+        addon: result.source,
+        category: result.category,
+        result: result.error ? 'failure' : 'success'
+      });
+    }
   }
 
   // Remove the old initialize method since we're handling initialization in start()
@@ -35,126 +120,112 @@ class StremioPlaylistServer {
     }
   }
 
+  // Subscribes to the same log feed as /api/logs/stream; entries arrive already redacted
   setupElectronLogForwarding() {
-    if (!this.electronLogCallback) return;
+    if (!this.electronLogCallback || this.unsubscribeElectronLogs) return;
 
-    // Intercept the main logger
-    this.interceptLogger(this.logger, 'Server');
+    this.unsubscribeElectronLogs = this.logger.subscribe(entry => {
+      this.electronLogCallback(entry.level, `[${entry.service || 'Server'}] ${entry.message}`);
+    });
+  }
+
+  async resolveConfigPath() {
+    // Determine config path - in packaged app, look in resources directory
+    let configPath = path.join(__dirname, 'config.json');
     
-    // Intercept service loggers after they're created
-    setTimeout(() => {
-      if (this.stremioService && this.stremioService.logger) {
-        this.interceptLogger(this.stremioService.logger, 'StremioService');
-      }
-      if (this.playlistGenerator && this.playlistGenerator.logger) {
-        this.interceptLogger(this.playlistGenerator.logger, 'PlaylistGenerator');
-      }
-      if (this.stremioService && this.stremioService.logoService && this.stremioService.logoService.logger) {
-        this.interceptLogger(this.stremioService.logoService.logger, 'LogoService');
+    // Check if we're in a packaged app (when running via electron)
+    // Use app.isPackaged if available, otherwise check process.resourcesPath
+    const isPackaged = (typeof require !== 'undefined' &&
+                       require.main &&
+                       require.main.filename.includes('app.asar')) ||
+                      (process.resourcesPath && !__dirname.includes('node_modules'));
+    
+    if (isPackaged && process.resourcesPath) {
+      // In packaged apps, always try resources directory first for main config
+      const resourcesConfigPath = path.join(process.resourcesPath, 'config.json');
+      if (await fs.pathExists(resourcesConfigPath)) {
+        configPath = resourcesConfigPath;
+        console.log('Using config from resources:', configPath);
+      } else {
+        console.log('Config not found in resources, using fallback:', configPath);
       }
-    }, 100);
+    }
+    
+    // Fallback: if config doesn't exist at the calculated path, try the project root
+    if (!await fs.pathExists(configPath)) {
+      configPath = path.join(__dirname, 'config.json');
+      console.log('Config not found at calculated path, using fallback:', configPath);
+    }
+    
+    return configPath;
   }
 
-  interceptLogger(logger, serviceName) {
-    if (!logger || logger._electronIntercepted) return;
-
-    const originalInfo = logger.info;
-    const originalError = logger.error;
-    const originalWarn = logger.warn;
-    const originalDebug = logger.debug;
-
-    logger.info = (message, ...args) => {
-      originalInfo.call(logger, message, ...args);
-      this.electronLogCallback('info', `[${serviceName}] ${message} ${args.join(' ')}`);
-    };
-
-    logger.error = (message, ...args) => {
-      originalError.call(logger, message, ...args);
-      this.electronLogCallback('error', `[${serviceName}] ${message} ${args.join(' ')}`);
-    };
-
-    logger.warn = (message, ...args) => {
-      originalWarn.call(logger, message, ...args);
-      this.electronLogCallback('warn', `[${serviceName}] ${message} ${args.join(' ')}`);
-    };
-
-    logger.debug = (message, ...args) => {
-      originalDebug.call(logger, message, ...args);
-      this.electronLogCallback('debug', `[${serviceName}] ${message} ${args.join(' ')}`);
-    };
-
-    logger._electronIntercepted = true;
+  // Reads and validates a config file, applying defaults for missing settings
+  async readConfigFile(configPath) {
+    const configData = await fs.readFile(configPath, 'utf8');
+    
+    let rawConfig;
+    try {
+      rawConfig = JSON.parse(configData);
+    } catch (error) {
+      return { config: null, errors: [MESSAGES.CONFIG.INVALID_JSON(error.message)], warnings: [] };
+    }
+    
+    return validateConfig(rawConfig);
   }
 
   async loadConfig() {
     try {
-      // Determine config path - in packaged app, look in resources directory
-      let configPath = path.join(__dirname, 'config.json');
-      
-      // Check if we're in a packaged app (when running via electron)
-      // Use app.isPackaged if available, otherwise check process.resourcesPath
-      const isPackaged = (typeof require !== 'undefined' &&
-                         require.main &&
-                         require.main.filename.includes('app.asar')) ||
-                        (process.resourcesPath && !__dirname.includes('node_modules'));
+      const configPath = await this.resolveConfigPath();
+      this.configPath = configPath;
       
-      if (isPackaged && process.resourcesPath) {
-        // In packaged apps, always try resources directory first for main config
-        const resourcesConfigPath = path.join(process.resourcesPath, 'config.json');
-        if (await fs.pathExists(resourcesConfigPath)) {
-          configPath = resourcesConfigPath;
-          console.log('Using config from resources:', configPath);
-        } else {
-          console.log('Config not found in resources, using fallback:', configPath);
-        }
-      }
-      
-      // Fallback: if config doesn't exist at the calculated path, try the project root
-      if (!await fs.pathExists(configPath)) {
-        configPath = path.join(__dirname, 'config.json');
-        console.log('Config not found at calculated path, using fallback:', configPath);
+      // Load and validate main config
+      const { config, errors, warnings } = await this.readConfigFile(configPath);
+      warnings.forEach(warning => console.warn(MESSAGES.CONFIG.WARNING(warning)));
+      if (errors.length > 0) {
+        throw new Error(MESSAGES.CONFIG.INVALID(configPath, errors));
       }
+      this.config = config;
       
-      // Load main config
-      const configData = await fs.readFile(configPath, 'utf8');
-      this.config = JSON.parse(configData);
+      // The logger doesn't exist yet, so mask addon URLs here the same way it would
+      const redact = (value) => this.config.logging.revealSecrets ? value : redactValue(value);
       
       // Initialize arrays to track all addon URLs for deduplication
       // Normalize URLs by removing /manifest.json and handling URL encoding for comparison
-      const normalizeUrl = (url) => {
-        // Remove /manifest.json suffix
-        let normalized = url.replace(/\/manifest\.json$/, '');
-        // Decode any URL encoding to normalize %3D vs = differences
-        try {
-          normalized = decodeURIComponent(normalized);
-        } catch (e) {
-          // If decoding fails, use original
-        }
-        return normalized;
-      };
-      
       // Track both normalized URLs and their original forms
       const urlMap = new Map(); // normalized -> original
       
       // Add existing enabled addons (normalized)
       this.config.sources.enabledAddons.forEach(url => {
-        const normalized = normalizeUrl(url);
+        const normalized = normalizeAddonUrl(url);
         if (!urlMap.has(normalized)) {
           urlMap.set(normalized, url);
         }
       });
       
-      // Check for secure Debridio URL from environment (.env file or electron)
+      // Labelled Debridio profiles from config.json come first so their labels win on duplicates
+      const profileSources = (this.config.debridio?.profiles || []).map(profile => ({ ...profile }));
+      
+      // Check for secure Debridio URLs from environment (.env file or electron)
+      const envProfiles = [];
       if (process.env.SECURE_DEBRIDIO_URL) {
-        console.log('Found secure Debridio URL from environment:', process.env.SECURE_DEBRIDIO_URL);
-        
+        console.log('Found secure Debridio URL from environment:', redact(process.env.SECURE_DEBRIDIO_URL));
+        envProfiles.push({ label: null, url: process.env.SECURE_DEBRIDIO_URL });
+      }
+      if (process.env.SECURE_DEBRIDIO_URLS) {
+        const listedProfiles = parseProfileList(process.env.SECURE_DEBRIDIO_URLS);
+        console.log(`Found ${listedProfiles.length} secure Debridio profile(s) from environment`);
+        envProfiles.push(...listedProfiles);
+      }
+      
+      for (const profile of envProfiles) {
         // Only decode if it's double-encoded (contains %25 which is encoded %)
-        let cleanUrl = process.env.SECURE_DEBRIDIO_URL;
+        let cleanUrl = profile.url;
         if (cleanUrl.includes('%253D')) {
           cleanUrl = decodeURIComponent(cleanUrl);
-          console.log('Decoded double-encoded URL from:', process.env.SECURE_DEBRIDIO_URL, 'to:', cleanUrl);
+          console.log('Decoded double-encoded URL from:', redact(profile.url), 'to:', redact(cleanUrl));
         } else {
-          console.log('Using URL as-is (properly encoded):', cleanUrl);
+          console.log('Using URL as-is (properly encoded):', redact(cleanUrl));
         }
         
         // Add to secure addons array
@@ -165,13 +236,16 @@ class StremioPlaylistServer {
           this.config.secureAddons.push(cleanUrl);
         }
         
-        // Add normalized URL to the map for deduplication
-        const normalized = normalizeUrl(cleanUrl);
+        profileSources.push({ label: profile.label, url: cleanUrl });
+        console.log('Added secure Debridio URL from environment to config');
+      }
+      
+      // Every profile URL is also an enabled addon (normalized for deduplication)
+      for (const profile of profileSources) {
+        const normalized = normalizeAddonUrl(profile.url);
         if (!urlMap.has(normalized)) {
-          urlMap.set(normalized, cleanUrl);
+          urlMap.set(normalized, profile.url);
         }
-        
-        console.log('Added secure Debridio URL from environment to config');
       }
       
       // Convert to final addon URLs using the original forms
@@ -192,7 +266,14 @@ class StremioPlaylistServer {
       // Update enabled addons with deduplicated list
       this.config.sources.enabledAddons = finalAddonUrls;
       
-      console.log('Final enabled addons (deduplicated):', this.config.sources.enabledAddons);
+      // Debridio URLs listed directly as addons become unlabelled profiles
+      this.config.debridioProfiles = normalizeProfiles([
+        ...profileSources,
+        ...finalAddonUrls.filter(isDebridioUrl).map(url => ({ label: null, url }))
+      ]);
+      console.log('Debridio profiles:', this.config.debridioProfiles.map(profile => profile.label));
+      
+      console.log('Final enabled addons (deduplicated):', redact(this.config.sources.enabledAddons));
     } catch (error) {
       throw new Error(MESSAGES.CONFIG.LOAD_FAILED(error.message));
     }
@@ -201,15 +282,43 @@ class StremioPlaylistServer {
   setupMiddleware() {
     this.app.use(express.json());
     
-    // CORS middleware
+    // Count requests per route pattern (not per URL) so channel IDs and tokens don't become labels
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+      res.on('finish', () => {
+        this.metrics.httpRequests.inc({
+          method: req.method,
+          route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+          status: res.statusCode
+        });
+      });
+      next();
+    });
+    
+    // CORS middleware - only origins listed in server.allowedOrigins ('*' for any) may call the API from a browser
+    this.app.use((req, res, next) => {
+      const allowedOrigins = this.config.server.allowedOrigins || [];
+      const origin = req.headers.origin;
+
+      if (origin && (allowedOrigins.includes('*') || allowedOrigins.includes(origin))) {
+        res.header('Access-Control-Allow-Origin', allowedOrigins.includes('*') ? '*' : origin);
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Api-Token');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.vary('Origin');
+
+        // Answer preflights here so they never hit the auth checks
+        if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+          return res.sendStatus(204);
+        }
+      }
+
       next();
     });
   }
 
   setupRoutes() {
+    // Looks up the auth service per request so a config reload applies to existing routes
+    const requireScope = (scope) => (req, res, next) => this.authService.authorize(scope, req, res, next);
+
     // Root endpoint - redirect to status
     this.app.get('/', (req, res) => {
       res.redirect('/status');
@@ -225,15 +334,57 @@ class StremioPlaylistServer {
       });
     });
 
+    // Prometheus metrics
+    this.app.get('/metrics', requireScope('read'), (req, res) => {
+      if (this.config.metrics?.enabled === false) {
+        return res.status(404).json({ error: MESSAGES.METRICS.DISABLED });
+      }
+
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(this.metrics.registry.render());
+    });
+
     // Get playlist
-    this.app.get('/playlist', async (req, res) => {
+    this.app.get('/playlist', requireScope('read'), async (req, res) => {
+      let filters;
+      try {
+        filters = parsePlaylistFilters(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
       try {
+        // Filtered variants are rendered on the fly from the latest content
+        if (filters) {
+          if (this.restoredBackup) {
+            return this.sendStaleAfterRestore(res);
+          }
+          if (!this.latestContent) {
+            return res.status(404).json({ error: MESSAGES.PLAYLIST.NOT_FOUND });
+          }
+
+          res.setHeader('Content-Type', 'audio/x-mpegurl');
+          res.setHeader('Content-Disposition', 'attachment; filename="playlist.m3u"');
+          return res.send(this.playlistGenerator.generateM3UContent(this.latestContent, filters, this.authService.getStreamToken(req)));
+        }
+
         const playlistPath = this.config.playlist.outputPath;
-        if (await fs.pathExists(playlistPath)) {
+        const published = await this.playlistGenerator.getPublishedInfo();
+        if (published) {
+          // Let media servers skip the download when the playlist hasn't changed since their last fetch. The links
+          // differ per caller when auth is on, so their stream token is part of the tag
+          const streamToken = this.authService.getStreamToken(req);
+          const etag = streamToken ? `${published.hash}-${crypto.createHash('sha256').update(streamToken).digest('hex').slice(0, 12)}` : published.hash;
+          res.setHeader('ETag', `"${etag}"`);
+          res.setHeader('Last-Modified', published.lastModified.toUTCString());
+          if (req.fresh) {
+            return res.status(304).end();
+          }
+          
           res.setHeader('Content-Type', 'audio/x-mpegurl');
           res.setHeader('Content-Disposition', 'attachment; filename="playlist.m3u"');
           const playlist = await fs.readFile(playlistPath, 'utf8');
-          res.send(playlist);
+          res.send(this.playlistGenerator.addStreamToken(playlist, streamToken));
         } else {
           res.status(404).json({ error: MESSAGES.PLAYLIST.NOT_FOUND });
         }
@@ -243,14 +394,301 @@ class StremioPlaylistServer {
       }
     });
 
+    // Get XMLTV guide matching the playlist's tvg-id values
+    this.app.get('/epg.xml', requireScope('read'), (req, res) => {
+      try {
+        if (this.restoredBackup) {
+          return this.sendStaleAfterRestore(res);
+        }
+        if (!this.latestContent) {
+          return res.status(404).json({ error: MESSAGES.EPG.NOT_AVAILABLE });
+        }
+        
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.send(this.epgGenerator.generate(this.latestContent));
+      } catch (error) {
+        this.logger.error(MESSAGES.EPG.SERVING_ERROR, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
+    // Resolve a fresh stream URL at play time (used by playlists in redirect mode)
+    this.app.get('/stream/:channelId', requireScope('stream'), async (req, res) => {
+      // Channel IDs in a restored playlist may point at different streams, or none, in the current content
+      if (this.restoredBackup) {
+        return this.sendStaleAfterRestore(res);
+      }
+
+      try {
+        const streamUrl = await this.streamResolver.resolve(req.params.channelId);
+        if (!streamUrl) {
+          return res.status(404).json({ error: MESSAGES.STREAM_RESOLVER.CHANNEL_NOT_FOUND });
+        }
+        
+        res.redirect(302, streamUrl);
+      } catch (error) {
+        this.logger.error(MESSAGES.STREAM_RESOLVER.SERVING_ERROR, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
+    // HDHomeRun tuner emulation for Emby, Plex and Jellyfin
+    // Always registered and checked per request, so enabling or disabling the tuner applies on config reload
+    const hdhomerunEnabled = (req, res, next) => next(this.config.hdhomerun?.enabled !== false ? undefined : 'route');
+
+    this.app.get('/discover.json', hdhomerunEnabled, requireScope('read'), (req, res) => {
+      res.json(this.hdhomerunService.getDiscoverData(req.auth ? this.authService.getToken(req) : null));
+    });
+
+    this.app.get('/lineup_status.json', hdhomerunEnabled, requireScope('read'), (req, res) => {
+      res.json(this.hdhomerunService.getLineupStatus());
+    });
+
+    this.app.get('/lineup.json', hdhomerunEnabled, requireScope('read'), (req, res) => {
+      if (this.restoredBackup) {
+        return this.sendStaleAfterRestore(res);
+      }
+      res.json(this.hdhomerunService.getLineup(this.latestContent, this.authService.getStreamToken(req)));
+    });
+
+    // Channel scans are a no-op - the lineup always reflects the latest playlist
+    this.app.post('/lineup.post', hdhomerunEnabled, requireScope('read'), (req, res) => {
+      res.status(200).end();
+    });
+
+    this.app.get('/device.xml', hdhomerunEnabled, requireScope('read'), (req, res) => {
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      res.send(this.hdhomerunService.getDeviceXml());
+    });
+
+    // Channel changes between the last two refreshes
+    this.app.get('/api/changes', requireScope('admin'), async (req, res) => {
+      try {
+        const changes = await this.snapshotStore.getLatestChanges();
+        if (!changes) {
+          return res.status(404).json({ error: MESSAGES.SNAPSHOT.NOT_AVAILABLE });
+        }
+
+        res.json(changes);
+      } catch (error) {
+        this.logger.error(MESSAGES.SNAPSHOT.SERVING_ERROR, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
+    // Refresh runs, newest first; ?trigger= and ?outcome= filter, ?limit= caps the count
+    this.app.get('/api/refreshes', requireScope('admin'), async (req, res) => {
+      const limit = req.query.limit === undefined ? null : Number(req.query.limit);
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({ error: MESSAGES.REFRESH_HISTORY.INVALID_LIMIT(req.query.limit) });
+      }
+
+      try {
+        res.json(await this.refreshHistory.list({ limit, trigger: req.query.trigger, outcome: req.query.outcome }));
+      } catch (error) {
+        this.logger.error(MESSAGES.REFRESH_HISTORY.SERVING_ERROR, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
+    // One run with the timing, requests and catalogs of every addon category
+    this.app.get('/api/refreshes/:id', requireScope('admin'), async (req, res) => {
+      try {
+        const run = await this.refreshHistory.get(req.params.id);
+        if (!run) {
+          return res.status(404).json({ error: MESSAGES.REFRESH_HISTORY.NOT_FOUND });
+        }
+
+        res.json(run);
+      } catch (error) {
+        this.logger.error(MESSAGES.REFRESH_HISTORY.SERVING_ERROR, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
+    // Media server notifiers: last result and counts per notifier, and a way to run one by hand
+    this.app.get('/api/notifiers', requireScope('admin'), (req, res) => {
+      const notifiers = this.mediaServerNotifier.getStatus();
+      res.json(this.config.logging.revealSecrets ? notifiers : redactValue(notifiers));
+    });
+
+    this.app.post('/api/notifiers/:name/notify', requireScope('admin'), async (req, res) => {
+      const notifier = this.mediaServerNotifier.find(req.params.name);
+      if (!notifier) {
+        return res.status(404).json({ error: MESSAGES.MEDIA_SERVERS.NOT_FOUND });
+      }
+
+      const result = await this.mediaServerNotifier.runAction(notifier);
+      res.status(result.ok ? 200 : 502).json(this.config.logging.revealSecrets ? result : redactValue(result));
+    });
+
+    // Outgoing webhooks: counts and last delivery per webhook, the delivery log and a test event
+    this.app.get('/api/webhooks', requireScope('admin'), (req, res) => {
+      res.json(this.webhookService.getStatus({ revealUrls: this.config.logging.revealSecrets }));
+    });
+
+    // Deliveries newest first; ?webhook=, ?event= and ?status= filter, ?limit= caps the count
+    this.app.get('/api/webhooks/deliveries', requireScope('admin'), async (req, res) => {
+      const limit = req.query.limit === undefined ? null : Number(req.query.limit);
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({ error: MESSAGES.REFRESH_HISTORY.INVALID_LIMIT(req.query.limit) });
+      }
+      if (req.query.status !== undefined && !['delivered', 'failed'].includes(req.query.status)) {
+        return res.status(400).json({ error: MESSAGES.WEBHOOKS.INVALID_STATUS(req.query.status) });
+      }
+
+      res.json(await this.webhookService.listDeliveries({
+        limit,
+        webhook: req.query.webhook,
+        event: req.query.event,
+        status: req.query.status
+      }));
+    });
+
+    // Sends a webhook.test event to one webhook, whatever events it subscribes to, and waits for the outcome
+    this.app.post('/api/webhooks/:name/test', requireScope('admin'), async (req, res) => {
+      const hook = this.webhookService.find(req.params.name);
+      if (!hook) {
+        return res.status(404).json({ error: MESSAGES.WEBHOOKS.NOT_FOUND });
+      }
+
+      const payload = this.webhookService.createPayload('webhook.test', {
+        playlist: this.config.playlist.name,
+        channels: this.playlistCounts.channels
+      }, MESSAGES.WEBHOOKS.TEST);
+      // A single attempt, so the request doesn't wait through the retry backoff
+      const delivery = await this.webhookService.deliver(hook, payload, { maxRetries: 0 });
+      res.status(delivery.status === 'delivered' ? 200 : 502).json(delivery);
+    });
+
+    // Recent log entries from the in-memory buffer, oldest first
+    this.app.get('/api/logs', requireScope('admin'), (req, res) => {
+      let filters;
+      try {
+        filters = parseLogFilters(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json(this.logger.getEntries(filters));
+    });
+
+    // Live log entries as Server-Sent Events, with the same filters. The buffered entries matching
+    // the filters are sent first; a reconnecting EventSource resumes after its Last-Event-ID
+    this.app.get('/api/logs/stream', requireScope('admin'), (req, res) => {
+      let filters;
+      try {
+        filters = parseLogFilters(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      const send = (entry) => res.write(`id: ${entry.id}\nevent: log\ndata: ${JSON.stringify(entry)}\n\n`);
+      const lastEventId = Number(req.headers['last-event-id']);
+      const backlog = lastEventId > 0
+        ? this.logger.getEntries({ ...filters, afterId: lastEventId })
+        : this.logger.getEntries(filters);
+      backlog.forEach(send);
+
+      const unsubscribe = this.logger.subscribe(entry => {
+        if (this.logger.matches(entry, filters)) {
+          send(entry);
+        }
+      });
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), LOG_STREAM_HEARTBEAT_MS);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    });
+
+    // Playlist backups: list, inspect, diff against the published playlist and restore
+    this.app.get('/api/backups', requireScope('admin'), async (req, res) => {
+      try {
+        res.json(await this.backupManager.list());
+      } catch (error) {
+        this.logger.error(MESSAGES.BACKUPS.SERVING_ERROR, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
+    this.app.get('/api/backups/:id', requireScope('admin'), async (req, res) => {
+      try {
+        const content = await this.backupManager.read(req.params.id);
+        if (content === null) {
+          return res.status(404).json({ error: MESSAGES.BACKUPS.NOT_FOUND });
+        }
+
+        res.setHeader('Content-Type', 'audio/x-mpegurl');
+        res.send(content);
+      } catch (error) {
+        this.logger.error(MESSAGES.BACKUPS.SERVING_ERROR, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
+    this.app.get('/api/backups/:id/diff', requireScope('admin'), async (req, res) => {
+      try {
+        const diff = await this.backupManager.diff(req.params.id);
+        if (!diff) {
+          return res.status(404).json({ error: MESSAGES.BACKUPS.NOT_FOUND });
+        }
+
+        res.json(diff);
+      } catch (error) {
+        this.logger.error(MESSAGES.BACKUPS.SERVING_ERROR, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
+    this.app.post('/api/backups/:id/restore', requireScope('admin'), async (req, res) => {
+      // Restoring while a refresh is writing the playlist would race with it
+      if (this.isUpdating) {
+        return res.status(429).json({ error: MESSAGES.API.UPDATE_IN_PROGRESS });
+      }
+
+      try {
+        if (!await this.backupManager.restore(req.params.id)) {
+          return res.status(404).json({ error: MESSAGES.BACKUPS.NOT_FOUND });
+        }
+
+        // The guide, tuner lineup, stream redirects and filtered playlists are built from the last refresh's
+        // content, which the restored file no longer matches; they answer 503 until the next refresh
+        this.restoredBackup = { id: req.params.id, restoredAt: new Date().toISOString() };
+
+        res.json({ message: MESSAGES.BACKUPS.RESTORE_SUCCESS(req.params.id) });
+        
+        // What changed isn't known, so every notifier is told
+        this.mediaServerNotifier.notify(null);
+      } catch (error) {
+        this.logger.error(MESSAGES.BACKUPS.RESTORE_FAILED, error);
+        res.status(500).json({ error: MESSAGES.API.INTERNAL_ERROR });
+      }
+    });
+
     // Manual refresh
-    this.app.post('/refresh', async (req, res) => {
+    this.app.post('/refresh', requireScope('admin'), async (req, res) => {
       if (this.isUpdating) {
         return res.status(429).json({ error: MESSAGES.API.UPDATE_IN_PROGRESS });
       }
 
       try {
-        await this.generatePlaylist();
+        await this.generatePlaylist('manual');
+        if (this.degraded) {
+          return res.status(503).json({
+            error: MESSAGES.PLAYLIST.DEGRADED_KEPT,
+            degraded: this.degraded,
+            lastUpdate: this.lastUpdate
+          });
+        }
         res.json({ 
           message: MESSAGES.PLAYLIST.UPDATE_SUCCESS,
           lastUpdate: this.lastUpdate
@@ -262,7 +700,7 @@ class StremioPlaylistServer {
     });
 
     // Get status
-    this.app.get('/status', async (req, res) => {
+    this.app.get('/status', requireScope('admin'), async (req, res) => {
       // Get channel count from playlist file
       let channelCount = 0;
       try {
@@ -275,7 +713,7 @@ class StremioPlaylistServer {
         console.error('Error reading playlist for channel count:', error);
       }
 
-      const statusData = {
+      const status = {
         server: {
           uptime: process.uptime(),
           memory: process.memoryUsage(),
@@ -286,14 +724,27 @@ class StremioPlaylistServer {
           isUpdating: this.isUpdating,
           outputPath: this.config.playlist.outputPath,
           refreshInterval: this.config.playlist.refreshInterval,
-          channelCount: channelCount
+          streamMode: this.config.playlist.streamMode || 'direct',
+          channelCount: channelCount,
+          degraded: this.degraded,
+          restoredBackup: this.restoredBackup
+        },
+        debridio: {
+          profiles: this.stremioService.getDebridioProfileStatus()
         },
+        health: this.healthChecker.getStatus(),
+        refreshes: await this.refreshHistory.getSummary(),
+        mediaServers: this.mediaServerNotifier.getStatus(),
+        webhooks: this.webhookService.getStatus({ revealUrls: this.config.logging.revealSecrets }),
         config: {
           port: this.config.server.port,
           enabledAddons: this.config.sources.enabledAddons,
           categories: this.config.sources.categories
         }
       };
+      
+      // Addon URLs and profile errors can carry debrid keys
+      const statusData = this.config.logging.revealSecrets ? status : redactValue(status);
 
       // Check if request accepts HTML (from browser)
       if (req.headers.accept && req.headers.accept.includes('text/html')) {
@@ -358,6 +809,15 @@ class StremioPlaylistServer {
             font-weight: bold;
             margin-bottom: 10px;
         }
+        .backup-btn {
+            background: #333;
+            color: #00ccff;
+            border: 1px solid #555;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 12px;
+            margin-left: 4px;
+        }
         .stat-box div, pre {
             -webkit-user-select: text !important;
             -moz-user-select: text !important;
@@ -384,10 +844,57 @@ class StremioPlaylistServer {
             <div class="stat-box">
                 <div class="stat-title">📺 Playlist Info</div>
                 <div>Last Update: ${statusData.playlist.lastUpdate ? new Date(statusData.playlist.lastUpdate).toLocaleString() : 'Never'}</div>
-                <div>Status: ${statusData.playlist.isUpdating ? '🔄 Updating' : '✅ Ready'}</div>
+                <div>Status: ${statusData.playlist.isUpdating ? '🔄 Updating' : statusData.playlist.degraded ? '⚠️ Degraded - serving last good playlist' : '✅ Ready'}</div>${statusData.playlist.degraded ? `
+                <div>Reason: ${statusData.playlist.degraded.reason}</div>
+                <div>Next Retry: ${new Date(statusData.playlist.degraded.nextRetry).toLocaleString()}</div>` : ''}${statusData.playlist.restoredBackup ? `
+                <div>⏪ Restored from ${statusData.playlist.restoredBackup.id} - guide, tuner lineup and stream redirects are unavailable until the next refresh</div>` : ''}
                 <div>Channels: ${statusData.playlist.channelCount}</div>
             </div>
             
+            <div class="stat-box">
+                <div class="stat-title">🔑 Debridio Profiles</div>
+                ${statusData.debridio.profiles.length > 0 ? statusData.debridio.profiles.map(profile => `
+                <div>${profile.label}: ${profile.error ? '❌ ' + profile.error : profile.lastFetch ? '✅ ' + profile.channelCount + ' channels' : '⏳ Not fetched yet'}</div>`).join('') : `
+                <div>No profiles configured</div>`}
+            </div>
+            
+            <div class="stat-box">
+                <div class="stat-title">🩺 Stream Health</div>
+                ${!statusData.health.enabled ? `
+                <div>Health checks disabled</div>` : statusData.health.lastRun ? `
+                <div>Healthy: ${statusData.health.lastRun.healthyChannels}/${statusData.health.lastRun.channelsChecked} channels</div>
+                <div>Flaky: ${statusData.health.flakyChannels.length} (${statusData.health.flakyAction})</div>
+                <div>Last Check: ${new Date(statusData.health.lastRun.completedAt).toLocaleString()}</div>` : `
+                <div>⏳ Not checked yet</div>`}
+            </div>
+            
+            <div class="stat-box">
+                <div class="stat-title">🕒 Refresh History</div>
+                ${statusData.refreshes ? `
+                <div>Last Run: ${statusData.refreshes.lastRun.trigger} - ${statusData.refreshes.lastRun.outcome} in ${Math.round(statusData.refreshes.lastRun.durationMs / 1000)}s</div>
+                <div>Channels: ${statusData.refreshes.lastRun.channels.fetched ?? '-'} fetched, ${statusData.refreshes.lastRun.channels.published} published</div>
+                <div>Requests: ${statusData.refreshes.lastRun.requests} (${statusData.refreshes.lastRun.failedSources} failed sources)</div>
+                <div>Last ${statusData.refreshes.runs}: ${statusData.refreshes.outcomes.success} ok, ${statusData.refreshes.outcomes.degraded} degraded, ${statusData.refreshes.outcomes.failure} failed, avg ${Math.round(statusData.refreshes.averageDurationMs / 1000)}s</div>${statusData.refreshes.failingSources.slice(0, 3).map(failing => `
+                <div>❌ ${failing.source}: failed in ${failing.failedRuns} runs</div>`).join('')}
+                <div><a href="/api/refreshes" data-with-token style="color: #00ccff;">View all runs</a></div>` : `
+                <div>⏳ No refreshes recorded yet</div>`}
+            </div>
+            
+            <div class="stat-box">
+                <div class="stat-title">📡 Media Servers</div>
+                ${statusData.mediaServers.length > 0 ? statusData.mediaServers.map(notifier => `
+                <div>${notifier.name}: ${!notifier.lastResult ? '⏳ Not notified yet' : notifier.lastResult.ok ? '✅ ' + new Date(notifier.lastResult.at).toLocaleString() : '❌ ' + notifier.lastResult.error} (${notifier.successes} ok, ${notifier.failures} failed)${notifier.tuner && !notifier.tuner.registered ? ' - tuner: ' + notifier.tuner.error : ''}</div>`).join('') : `
+                <div>No notifiers configured</div>`}
+            </div>
+            
+            <div class="stat-box">
+                <div class="stat-title">🔔 Webhooks</div>
+                ${statusData.webhooks.length > 0 ? statusData.webhooks.map(hook => `
+                <div>${hook.name}: ${!hook.lastDelivery ? '⏳ Nothing sent yet' : (hook.lastDelivery.status === 'delivered' ? '✅ ' : '❌ ') + hook.lastDelivery.event + ' ' + new Date(hook.lastDelivery.at).toLocaleString()} (${hook.delivered} delivered, ${hook.failed} failed)</div>`).join('') + `
+                <div><a href="/api/webhooks/deliveries" data-with-token style="color: #00ccff;">View deliveries</a></div>` : `
+                <div>No webhooks configured</div>`}
+            </div>
+            
             <div class="stat-box">
                 <div class="stat-title">⚙️ Configuration</div>
                 <div>Port: ${statusData.config.port}</div>
@@ -395,6 +902,21 @@ class StremioPlaylistServer {
             </div>
         </div>
         
+        <div class="stat-title">💾 Playlist Backups</div>
+        <div id="backups" class="stat-box" style="margin-bottom: 20px;">Loading backups...</div>
+        <pre id="backupDiff" style="display: none;"></pre>
+        
+        <div class="stat-title">📜 Live Logs</div>
+        <div style="margin-bottom: 10px;">
+            <select id="logLevel" onchange="connectLogs()">
+                <option value="debug">All levels</option>
+                <option value="info" selected>Info and above</option>
+                <option value="warn">Warnings and errors</option>
+                <option value="error">Errors only</option>
+            </select>
+        </div>
+        <pre id="logs" style="max-height: 300px; overflow-y: auto; margin-bottom: 20px;"></pre>
+        
         <div class="stat-title">📋 Full Status JSON:</div>
         <pre id="statusJson" style="cursor: text;">${JSON.stringify(statusData, null, 2)}</pre>
         
@@ -413,6 +935,97 @@ class StremioPlaylistServer {
                 selection.addRange(range);
             });
             
+            // When the page was opened with ?token=, pass it on to the API calls and links below
+            const authToken = new URLSearchParams(window.location.search).get('token');
+            function withToken(url) {
+                return authToken ? url + (url.indexOf('?') === -1 ? '?' : '&') + 'token=' + encodeURIComponent(authToken) : url;
+            }
+            
+            document.querySelectorAll('a[data-with-token]').forEach(link => {
+                link.href = withToken(link.getAttribute('href'));
+            });
+            
+            // Backup controls: view, diff against the published playlist and restore
+            function loadBackups() {
+                fetch(withToken('/api/backups')).then(response => response.json()).then(backups => {
+                    const container = document.getElementById('backups');
+                    if (backups.length === 0) {
+                        container.textContent = 'No backups yet';
+                        return;
+                    }
+                    
+                    container.innerHTML = backups.map(backup => {
+                        const id = encodeURIComponent(backup.id);
+                        return '<div style="margin-bottom: 6px;">' +
+                            new Date(backup.createdAt).toLocaleString() + ' - ' + backup.channelCount + ' channels ' +
+                            '<button class="backup-btn" onclick="window.open(withToken(\\'/api/backups/' + id + '\\'))">👁️ View</button> ' +
+                            '<button class="backup-btn" onclick="diffBackup(\\'' + id + '\\')">🔍 Diff</button> ' +
+                            '<button class="backup-btn" onclick="restoreBackup(\\'' + id + '\\')">⏪ Restore</button>' +
+                            '</div>';
+                    }).join('');
+                }).catch(error => {
+                    document.getElementById('backups').textContent = 'Failed to load backups: ' + error.message;
+                });
+            }
+            
+            function diffBackup(id) {
+                fetch(withToken('/api/backups/' + id + '/diff')).then(response => response.json()).then(diff => {
+                    const lines = ['Restoring this backup would change the published playlist:',
+                        '  +' + diff.summary.added + ' added, -' + diff.summary.removed + ' removed, ' +
+                        diff.summary.renamed + ' renamed, ' + diff.summary.streamChanged + ' stream changed', ''];
+                    diff.added.forEach(channel => lines.push('+ ' + channel.title));
+                    diff.removed.forEach(channel => lines.push('- ' + channel.title));
+                    diff.renamed.forEach(channel => lines.push('~ ' + channel.from + ' -> ' + channel.to));
+                    
+                    const output = document.getElementById('backupDiff');
+                    output.textContent = lines.join('\\n');
+                    output.style.display = 'block';
+                });
+            }
+            
+            function restoreBackup(id) {
+                if (!confirm('Restore this backup? The current playlist is backed up first.')) {
+                    return;
+                }
+                
+                fetch(withToken('/api/backups/' + id + '/restore'), { method: 'POST' }).then(response => response.json()).then(result => {
+                    alert(result.message || result.error);
+                    location.reload();
+                });
+            }
+            
+            loadBackups();
+            
+            // Live logs over Server-Sent Events; the newest 200 buffered entries are replayed on connect
+            const MAX_LOG_LINES = 500;
+            let logSource = null;
+            function connectLogs() {
+                if (logSource) {
+                    logSource.close();
+                }
+                
+                const output = document.getElementById('logs');
+                output.textContent = '';
+                const level = document.getElementById('logLevel').value;
+                logSource = new EventSource(withToken('/api/logs/stream?limit=200&level=' + level));
+                logSource.addEventListener('log', event => {
+                    const entry = JSON.parse(event.data);
+                    const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 5;
+                    output.textContent += new Date(entry.time).toLocaleTimeString() + ' [' + entry.level.toUpperCase() + '] ' +
+                        (entry.service ? '[' + entry.service + '] ' : '') + entry.message + '\\n';
+                    
+                    const lines = output.textContent.split('\\n');
+                    if (lines.length > MAX_LOG_LINES) {
+                        output.textContent = lines.slice(-MAX_LOG_LINES).join('\\n');
+                    }
+                    if (atBottom) {
+                        output.scrollTop = output.scrollHeight;
+                    }
+                });
+            }
+            
+            connectLogs();
+            
             // Function to clear Debridio URL (only works in electron)
             function clearDebridioUrl() {
                 if (typeof require !== 'undefined') {
@@ -433,7 +1046,8 @@ class StremioPlaylistServer {
         </script>
         
         <div style="text-align: center; margin-top: 30px; color: #666;">
-            <a href="/playlist" style="color: #00ccff;">📺 Download Playlist</a> |
+            <a href="/playlist" data-with-token style="color: #00ccff;">📺 Download Playlist</a> |
+            <a href="/epg.xml" data-with-token style="color: #00ccff;">🗓️ EPG</a> |
             <a href="/" style="color: #00ccff;">🏠 Home</a>
         </div>
     </div>
@@ -454,7 +1068,7 @@ class StremioPlaylistServer {
 
     this.cronJob = cron.schedule(this.config.playlist.refreshInterval, async () => {
       this.logger.info(MESSAGES.PLAYLIST.SCHEDULED_REFRESH_STARTED);
-      await this.generatePlaylist();
+      await this.generatePlaylist('scheduled');
     }, {
       scheduled: true,
       timezone: 'UTC'
@@ -463,7 +1077,9 @@ class StremioPlaylistServer {
     this.logger.info(MESSAGES.SCHEDULER.SETUP(this.config.playlist.refreshInterval));
   }
 
-  async generatePlaylist() {
+  // trigger is recorded in the refresh history: 'initial', 'scheduled', 'manual', 'retry' (after a degraded refresh)
+  // or 'reload' (after a config change)
+  async generatePlaylist(trigger = 'manual') {
     if (this.isUpdating) {
       this.logger.warn(MESSAGES.PLAYLIST.GENERATION_IN_PROGRESS);
       return;
@@ -471,35 +1087,201 @@ class StremioPlaylistServer {
 
     this.isUpdating = true;
     const startTime = Date.now();
+    const run = {
+      trigger,
+      startedAt: new Date(startTime).toISOString(),
+      stages: {}, // milliseconds spent in each step
+      channels: { fetched: null, afterLineup: null, valid: null, published: this.playlistCounts.channels },
+      changes: null
+    };
+    const timed = async (stage, task) => {
+      const stageStart = Date.now();
+      try {
+        return await task();
+      } finally {
+        run.stages[stage] = Date.now() - stageStart;
+      }
+    };
 
     try {
       this.logger.info(MESSAGES.PLAYLIST.GENERATION_STARTED);
       
       // Fetch content from Stremio (now uses Debridio logos or placeholders - fast!)
-      const content = await this.stremioService.fetchContent(this.config.sources);
+      const fetchedContent = await timed('fetch', () => this.stremioService.fetchContent(this.config.sources));
+      run.channels.fetched = fetchedContent.length;
       
-      // Generate M3U playlist immediately
-      await this.playlistGenerator.generate(content);
+      // Probe live streams so dead channels are filtered out before the playlist is written
+      await timed('healthCheck', () => this.healthChecker.check(fetchedContent));
+      
+      // Apply the user's lineup file (include/exclude, names, numbers, groups, logos)
+      const content = await timed('lineup', () => this.lineupMapper.apply(fetchedContent));
+      run.channels.afterLineup = content.length;
+      
+      // Generate M3U playlist immediately. The drop check compares what the addons returned as well as the
+      // channels left after the health check, see PlaylistGenerator.checkRefreshQuality
+      const fetched = { count: fetchedContent.length, previousCount: await this.getPreviousFetchedCount() };
+      const { content: validContent, written } = await timed('generate', () => this.playlistGenerator.generate(content, fetched));
+      this.setLatestContent(validContent);
+      this.restoredBackup = null;
+      this.clearDegraded();
+      run.channels.valid = validContent.length;
+      run.channels.published = this.playlistCounts.channels;
       
       this.lastUpdate = new Date().toISOString();
       const duration = Date.now() - startTime;
       
       this.logger.info(MESSAGES.PLAYLIST.GENERATION_COMPLETED(duration));
+      this.recordRefreshMetrics('success', startTime);
+      const diff = await this.recordSnapshot(validContent, fetchedContent.length);
+      run.changes = diff ? diff.summary : null;
       
       // Mark as no longer updating BEFORE starting background enhancement
       this.isUpdating = false;
+      await this.recordRefreshRun(run, 'success');
+      
+      // Runs in the background; a slow or unreachable media server must not hold up the refresh
+      this.mediaServerNotifier.notify(run.changes, written);
+      this.emitChannelChanges(diff);
       
       // Start background logo enhancement (don't await - run in background)
       // This runs AFTER the playlist is completely generated and saved
       this.enhanceLogosInBackground(content);
       
     } catch (error) {
-      this.logger.error(MESSAGES.PLAYLIST.GENERATION_FAILED, error);
       this.isUpdating = false; // Make sure to reset on error
+      
+      // A degraded refresh is not an error for callers - the last good playlist keeps being served
+      if (error.code === 'DEGRADED_REFRESH') {
+        this.recordRefreshMetrics('degraded', startTime);
+        run.channels.valid = error.channelCount;
+        await this.recordRefreshRun(run, 'degraded', error);
+        this.markDegraded(error);
+        return;
+      }
+      
+      this.recordRefreshMetrics('failure', startTime);
+      await this.recordRefreshRun(run, 'failure', error);
+      this.logger.error(MESSAGES.PLAYLIST.GENERATION_FAILED, error);
       throw error;
     }
   }
 
+  async recordRefreshRun(run, outcome, error = null) {
+    const entry = await this.refreshHistory.record({
+      ...run,
+      outcome,
+      error: error ? redactValue(error.message) : null,
+      sources: this.stremioService.sourceResults
+    });
+    this.logger.debug(MESSAGES.REFRESH_HISTORY.RECORDED(entry.id, entry.trigger, entry.outcome, entry.requests));
+
+    const { sources, ...data } = entry;
+    if (outcome === 'success') {
+      this.webhookService.emit('refresh.completed', data, MESSAGES.WEBHOOKS.REFRESH_COMPLETED(run.channels.published, entry.durationMs));
+    } else if (outcome === 'degraded') {
+      this.webhookService.emit('refresh.degraded', data, MESSAGES.WEBHOOKS.REFRESH_DEGRADED(entry.error));
+    } else {
+      this.webhookService.emit('refresh.failed', data, MESSAGES.WEBHOOKS.REFRESH_FAILED(entry.error));
+    }
+  }
+
+  // The first snapshot has nothing to compare against, so every channel would look new
+  emitChannelChanges(diff) {
+    if (!diff || !diff.previousGeneratedAt) {
+      return;
+    }
+
+    if (diff.added.length > 0) {
+      this.webhookService.emit('channels.added', { count: diff.added.length, channels: diff.added }, MESSAGES.WEBHOOKS.CHANNELS_ADDED(diff.added.length));
+    }
+    if (diff.removed.length > 0) {
+      this.webhookService.emit('channels.removed', { count: diff.removed.length, channels: diff.removed }, MESSAGES.WEBHOOKS.CHANNELS_REMOVED(diff.removed.length));
+    }
+  }
+
+  markDegraded(error) {
+    const retryMinutes = this.config.playlist.degradedRetryMinutes || 5;
+    
+    this.degraded = {
+      reason: error.message,
+      channelCount: error.channelCount,
+      comparedCount: error.comparedCount,
+      baselineCount: error.baselineCount,
+      since: this.degraded ? this.degraded.since : new Date().toISOString(),
+      nextRetry: new Date(Date.now() + retryMinutes * 60 * 1000).toISOString()
+    };
+    
+    this.logger.warn(MESSAGES.PLAYLIST.DEGRADED(error.message));
+    this.logger.info(MESSAGES.PLAYLIST.DEGRADED_RETRY(retryMinutes));
+    
+    // Retry sooner than the regular schedule; the cron job keeps running as well
+    clearTimeout(this.degradedRetryTimer);
+    this.degradedRetryTimer = setTimeout(async () => {
+      this.degradedRetryTimer = null;
+      try {
+        await this.generatePlaylist('retry');
+      } catch (retryError) {
+        this.logger.error(MESSAGES.PLAYLIST.GENERATION_FAILED, retryError);
+      }
+    }, retryMinutes * 60 * 1000);
+  }
+
+  clearDegraded() {
+    clearTimeout(this.degradedRetryTimer);
+    this.degradedRetryTimer = null;
+    
+    if (this.degraded) {
+      this.degraded = null;
+      this.logger.info(MESSAGES.PLAYLIST.RECOVERED);
+    }
+  }
+
+  sendStaleAfterRestore(res) {
+    res.setHeader('Retry-After', '60');
+    res.status(503).json({ error: MESSAGES.BACKUPS.STALE_AFTER_RESTORE(this.restoredBackup.id) });
+  }
+
+  setLatestContent(content) {
+    this.latestContent = content;
+    
+    // Keep the redirect endpoint in sync with the channel IDs just written to the playlist
+    const entries = this.playlistGenerator.buildChannelEntries(content);
+    this.streamResolver.updateChannels(entries);
+    this.playlistCounts = {
+      channels: entries.length,
+      streams: content.reduce((total, item) => total + (item.streams?.length || 0), 0)
+    };
+  }
+
+  // Number of items the addons returned for the last published playlist, or null if it isn't known
+  async getPreviousFetchedCount() {
+    try {
+      return await this.snapshotStore.getLatestFetchedCount();
+    } catch (error) {
+      this.logger.warn(MESSAGES.SNAPSHOT.READ_FAILED('latest', error.message));
+      return null;
+    }
+  }
+
+  // Returns the diff against the previous snapshot, or null if it couldn't be recorded
+  async recordSnapshot(content, fetchedCount) {
+    // Change tracking is informational - never fail a refresh because of it
+    try {
+      const snapshot = await this.snapshotStore.record(content, fetchedCount);
+      const { summary, previousGeneratedAt } = snapshot.diff;
+
+      if (previousGeneratedAt) {
+        this.logger.info(MESSAGES.SNAPSHOT.DIFF_SUMMARY(summary));
+      } else {
+        this.logger.info(MESSAGES.SNAPSHOT.FIRST_SNAPSHOT(snapshot.channelCount));
+      }
+      return snapshot.diff;
+    } catch (error) {
+      this.logger.warn(MESSAGES.SNAPSHOT.SAVE_FAILED(error.message));
+      return null;
+    }
+  }
+
   enhanceLogosInBackground(content) {
     // Only run logo enhancement if Wikimedia is enabled
     if (!this.config.logos?.enableWikimedia) {
@@ -530,6 +1312,11 @@ class StremioPlaylistServer {
               const originalPoster = item.poster;
               processed++;
               
+              // Logos set in the lineup file always win
+              if (item.logoOverride) {
+                return;
+              }
+              
               this.logger.debug(`[${processed}/${content.length}] Checking "${item.title}" (poster: ${originalPoster ? 'has poster' : 'no poster'})`);
               
               // Try to enhance with Wikimedia logos
@@ -562,7 +1349,8 @@ class StremioPlaylistServer {
           this.logger.info(MESSAGES.PLAYLIST.LOGO_ENHANCEMENT_REGENERATING(logosEnhanced));
           
           try {
-            await this.playlistGenerator.generate(content);
+            this.setLatestContent((await this.playlistGenerator.generate(content)).content);
+            this.restoredBackup = null;
             this.lastUpdate = new Date().toISOString();
             this.logger.info(MESSAGES.PLAYLIST.LOGO_ENHANCEMENT_COMPLETED(logosEnhanced));
           } catch (error) {
@@ -572,12 +1360,89 @@ class StremioPlaylistServer {
           this.logger.info(MESSAGES.PLAYLIST.LOGO_ENHANCEMENT_NO_UPDATES);
         }
         
+        this.webhookService.emit('logo.enhancement.completed', { processed, logosEnhanced }, MESSAGES.WEBHOOKS.LOGOS_ENHANCED(logosEnhanced, processed));
+        
       } catch (error) {
         this.logger.warn(MESSAGES.PLAYLIST.LOGO_ENHANCEMENT_FAILED, error.message);
       }
     });
   }
 
+  // Builds every service on start. On a config reload changed(section) says which sections differ, and only the
+  // services built from those sections (or from a rebuilt service) are replaced, so the rest keep their in-memory
+  // state: Debridio profile status, health-check history, delivery counters and the stream URL cache.
+  // Returns the names of the services that were built
+  createServices(changed = () => true) {
+    // Each service logs through a child logger so its entries carry a `service` field
+    const serviceLogger = (service) => this.logger.child({ service });
+
+    // Redirect-mode playlist entries, the tuner and media server notifiers need an absolute URL back to this server
+    const publicUrl = (this.config.playlist.publicUrl || `http://${this.config.server.host}:${this.config.server.port}`).replace(/\/$/, '');
+    const publicUrlChanged = publicUrl !== this.publicUrl;
+    const sectionChanged = (section) => section === 'publicUrl' ? publicUrlChanged : changed(section);
+    this.publicUrl = publicUrl;
+
+    const built = new Set();
+    const build = (name, sections, dependencies, create) => {
+      if (this[name] && !sections.some(sectionChanged) && !dependencies.some(dependency => built.has(dependency))) {
+        return;
+      }
+      this[name] = create();
+      built.add(name);
+    };
+
+    build('stremioService', ['sources', 'secureAddons', 'debridioProfiles', 'debridio', 'stremio', 'logos', 'playlist'], [],
+      () => new StremioService(this.config, serviceLogger('StremioService')));
+    build('backupManager', ['backups', 'playlist'], [],
+      () => new BackupManager(this.config.backups, serviceLogger('BackupManager'), this.config.playlist.outputPath));
+    build('playlistGenerator', ['playlist', 'publicUrl'], ['backupManager'],
+      () => new PlaylistGenerator({ ...this.config.playlist, publicUrl }, serviceLogger('PlaylistGenerator'), this.backupManager));
+    build('epgGenerator', ['epg'], ['playlistGenerator'],
+      () => new EpgGenerator(this.config.epg, serviceLogger('EpgGenerator'), this.playlistGenerator));
+    build('streamResolver', ['playlist'], ['stremioService'],
+      () => new StreamResolver(this.config.playlist, serviceLogger('StreamResolver'), this.stremioService));
+    build('hdhomerunService', ['hdhomerun'], ['playlistGenerator'],
+      () => new HdHomeRunService(this.config.hdhomerun, serviceLogger('HdHomeRunService'), this.playlistGenerator));
+    build('snapshotStore', ['storage'], [],
+      () => new SnapshotStore(this.config.storage, serviceLogger('SnapshotStore')));
+    build('refreshHistory', ['storage'], [],
+      () => new RefreshHistory(this.config.storage, serviceLogger('RefreshHistory')));
+    build('healthChecker', ['healthCheck', 'storage'], [],
+      () => new HealthChecker(this.config.healthCheck, serviceLogger('HealthChecker'), this.config.storage));
+    build('lineupMapper', ['lineup'], [],
+      () => new LineupMapper(this.config.lineup, serviceLogger('LineupMapper')));
+    build('authService', ['auth'], [],
+      () => new AuthService(this.config.auth, serviceLogger('AuthService')));
+    build('mediaServerNotifier', ['mediaServers', 'publicUrl'], [],
+      () => new MediaServerNotifier(this.config.mediaServers, serviceLogger('MediaServerNotifier'), `${publicUrl}/playlist`));
+    build('webhookService', ['webhooks', 'storage'], [],
+      () => new WebhookService(this.config.webhooks, serviceLogger('WebhookService'), this.config.storage));
+
+    return built;
+  }
+
+  startSsdp() {
+    if (this.config.hdhomerun?.enabled === false) return;
+
+    this.logger.info(MESSAGES.HDHOMERUN.DISCOVER_URL(this.hdhomerunService.getBaseUrl()));
+
+    // Optional LAN discovery so media servers can find the tuner automatically
+    if (this.config.hdhomerun?.ssdp) {
+      this.ssdpResponder = new SsdpResponder({
+        deviceId: this.hdhomerunService.config.deviceId,
+        location: `${this.hdhomerunService.getBaseUrl()}/device.xml`
+      }, this.logger.child({ service: 'SsdpResponder' }));
+      this.ssdpResponder.start();
+    }
+  }
+
+  stopSsdp() {
+    if (this.ssdpResponder) {
+      this.ssdpResponder.stop();
+      this.ssdpResponder = null;
+    }
+  }
+
   async start() {
     // Load configuration first
     await this.loadConfig();
@@ -592,8 +1457,7 @@ class StremioPlaylistServer {
     }
     
     // Initialize services
-    this.stremioService = new StremioService(this.config, this.logger);
-    this.playlistGenerator = new PlaylistGenerator(this.config.playlist, this.logger);
+    this.createServices();
     
     // Setup Express middleware and routes
     this.setupMiddleware();
@@ -603,11 +1467,15 @@ class StremioPlaylistServer {
     const port = this.config.server.port;
     const host = this.config.server.host;
     
-    this.app.listen(port, host, () => {
+    this.httpServer = this.app.listen(port, host, () => {
       this.logger.info(MESSAGES.SERVER.STARTING(host, port));
       this.logger.info(MESSAGES.SERVER.PLAYLIST_URL(host, port));
+      this.logger.info(MESSAGES.SERVER.EPG_URL(host, port));
       this.logger.info(MESSAGES.SERVER.STATUS_URL(host, port));
       
+      this.startSsdp();
+      this.mediaServerNotifier.registerTuners(this.config.playlist.name);
+      
       // Now start the initial playlist generation in the background
       this.generateInitialPlaylist();
     });
@@ -615,14 +1483,150 @@ class StremioPlaylistServer {
     // Setup scheduled refresh
     this.setupScheduler();
     
+    // Apply config.json and .env changes without a restart
+    this.watchConfigFiles();
+    
     this.logger.info(MESSAGES.SERVER.INITIALIZED);
   }
 
+  watchConfigFiles() {
+    if (this.config.server.watchConfig === false) return;
+
+    for (const file of [this.configPath, ENV_PATH]) {
+      // watchFile polls, so it survives editors that replace the file and works for files that don't exist yet
+      fs.watchFile(file, { interval: 1000 }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reloadConfig(), CONFIG_RELOAD_DEBOUNCE_MS);
+      });
+      this.watchedFiles.push(file);
+    }
+
+    this.logger.info(MESSAGES.CONFIG.WATCHING(this.configPath));
+  }
+
+  unwatchConfigFiles() {
+    clearTimeout(this.reloadTimer);
+    this.watchedFiles.forEach(file => fs.unwatchFile(file));
+    this.watchedFiles = [];
+  }
+
+  // Re-reads .env the way dotenv.config() does: variables set by something else
+  // (the shell, the desktop app) win, but values that came from .env are updated or removed.
+  // Returns a function that undoes the changes, for when the reloaded config is rejected
+  async reloadEnvFile() {
+    const values = await fs.pathExists(ENV_PATH) ? dotenv.parse(await fs.readFile(ENV_PATH)) : {};
+    const previousValues = this.envFileValues;
+    const previousEnv = Object.fromEntries(
+      [...new Set([...Object.keys(previousValues), ...Object.keys(values)])].map(key => [key, process.env[key]])
+    );
+
+    for (const [key, value] of Object.entries(this.envFileValues)) {
+      if (!(key in values) && process.env[key] === value) {
+        delete process.env[key];
+      }
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      if (process.env[key] === undefined || process.env[key] === this.envFileValues[key]) {
+        process.env[key] = value;
+      }
+    }
+
+    this.envFileValues = values;
+
+    return () => {
+      for (const [key, value] of Object.entries(previousEnv)) {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+      this.envFileValues = previousValues;
+    };
+  }
+
+  async reloadConfig() {
+    // Rebuilding services mid-refresh would swap them out from under generatePlaylist
+    if (this.isUpdating) {
+      this.reloadTimer = setTimeout(() => this.reloadConfig(), CONFIG_RELOAD_DEBOUNCE_MS * 4);
+      return;
+    }
+
+    this.logger.info(MESSAGES.CONFIG.RELOADING);
+    const previousConfig = this.config;
+    let restoreEnv = null;
+
+    try {
+      restoreEnv = await this.reloadEnvFile();
+      await this.loadConfig();
+    } catch (error) {
+      // Otherwise the rejected .env values would stay in process.env and be picked up by the next reload
+      if (restoreEnv) {
+        restoreEnv();
+      }
+      this.config = previousConfig;
+      this.logger.error(MESSAGES.CONFIG.RELOAD_FAILED(error.message));
+      return;
+    }
+
+    const changed = (key) => JSON.stringify(previousConfig[key]) !== JSON.stringify(this.config[key]);
+
+    // The listener is already bound; moving it needs a restart
+    if (this.config.server.port !== previousConfig.server.port || this.config.server.host !== previousConfig.server.host) {
+      this.logger.warn(MESSAGES.CONFIG.RESTART_REQUIRED('server.host/server.port'));
+      this.config.server = { ...this.config.server, host: previousConfig.server.host, port: previousConfig.server.port };
+    }
+
+    if (changed('logging')) {
+      // Carry over the recent entries and live subscribers (SSE streams, the desktop app)
+      const logger = new Logger(this.config.logging);
+      logger.transferFrom(this.logger);
+      this.logger = logger;
+    }
+
+    const rebuilt = this.createServices(changed);
+    this.logger.debug(MESSAGES.CONFIG.SERVICES_REBUILT(rebuilt));
+    if (this.latestContent) {
+      this.setLatestContent(this.latestContent);
+    }
+    if (rebuilt.has('hdhomerunService')) {
+      this.stopSsdp();
+      this.startSsdp();
+    }
+    this.setupScheduler();
+    if (changed('mediaServers') || changed('playlist')) {
+      this.mediaServerNotifier.registerTuners(this.config.playlist.name);
+    }
+
+    // Turning watchConfig on only takes effect here when the reload came from SIGHUP
+    if (this.config.server.watchConfig === false) {
+      this.unwatchConfigFiles();
+    } else if (this.watchedFiles.length === 0) {
+      this.watchConfigFiles();
+    }
+
+    this.logger.info(MESSAGES.CONFIG.RELOADED);
+
+    // Only settings that change what ends up in the playlist need a fresh fetch
+    const { refreshInterval: previousInterval, ...previousPlaylist } = previousConfig.playlist;
+    const { refreshInterval: currentInterval, ...currentPlaylist } = this.config.playlist;
+    const playlistChanged = JSON.stringify(previousPlaylist) !== JSON.stringify(currentPlaylist);
+
+    if (playlistChanged || ['sources', 'secureAddons', 'debridioProfiles', 'stremio', 'healthCheck', 'lineup'].some(changed)) {
+      this.logger.info(MESSAGES.CONFIG.RELOAD_REFRESH);
+      // generatePlaylist logs its own failures
+      await this.generatePlaylist('reload').catch(() => {});
+    }
+  }
+
   async generateInitialPlaylist() {
     // Run initial playlist generation in background
     setImmediate(async () => {
       try {
-        await this.generatePlaylist();
+        await this.generatePlaylist('initial');
       } catch (error) {
         this.logger.error('Initial playlist generation failed:', error);
       }
@@ -633,7 +1637,26 @@ class StremioPlaylistServer {
     if (this.cronJob) {
       this.cronJob.stop();
     }
+    clearTimeout(this.degradedRetryTimer);
+    this.unwatchConfigFiles();
+    this.stopSsdp();
+
+    // Close the listener so the port is free for a restart; open keep-alive/stream connections would hold it otherwise
+    if (this.httpServer) {
+      const httpServer = this.httpServer;
+      this.httpServer = null;
+      await new Promise(resolve => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    }
+
     this.logger.info(MESSAGES.SERVER.STOPPED);
+
+    if (this.unsubscribeElectronLogs) {
+      this.unsubscribeElectronLogs();
+      this.unsubscribeElectronLogs = null;
+    }
   }
 }
 
@@ -648,13 +1671,39 @@ process.on('SIGTERM', async () => {
   process.exit(0);
 });
 
-// Start the server
+// Start the server, or check the config with `node index.js validate [path]`
 if (require.main === module) {
   const server = new StremioPlaylistServer();
-  server.start().catch(error => {
-    console.error(messages.config.startFailed, error);
-    process.exit(1);
-  });
+  
+  if (process.argv[2] === 'validate') {
+    (async () => {
+      const configPath = process.argv[3] ? path.resolve(process.argv[3]) : await server.resolveConfigPath();
+      const { errors, warnings } = await server.readConfigFile(configPath);
+      
+      warnings.forEach(warning => console.warn(MESSAGES.CONFIG.WARNING(warning)));
+      if (errors.length > 0) {
+        console.error(MESSAGES.CONFIG.INVALID(configPath, errors));
+        process.exit(1);
+      }
+      
+      console.log(MESSAGES.CONFIG.VALID(configPath));
+    })().catch(error => {
+      console.error(MESSAGES.CONFIG.LOAD_FAILED(error.message));
+      process.exit(1);
+    });
+  } else {
+    server.start().catch(error => {
+      console.error(MESSAGES.CONFIG.START_FAILED, error);
+      process.exit(1);
+    });
+
+    // Reload on demand as well, e.g. with watchConfig off
+    process.on('SIGHUP', () => {
+      if (server.config) {
+        server.reloadConfig();
+      }
+    });
+  }
 }
 
 module.exports = StremioPlaylistServer;
\ No newline at end of file
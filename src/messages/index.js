@@ -4,12 +4,24 @@ const MESSAGES = {
     STARTING: (host, port) => `Server running on http://${host}:${port}`,
     PLAYLIST_URL: (host, port) => `Playlist available at: http://${host}:${port}/playlist`,
     STATUS_URL: (host, port) => `Status endpoint: http://${host}:${port}/status`,
+    EPG_URL: (host, port) => `EPG available at: http://${host}:${port}/epg.xml`,
     STOPPED: 'Server stopped',
     SHUTDOWN_SIGINT: '\nReceived SIGINT, shutting down gracefully...',
     SHUTDOWN_SIGTERM: '\nReceived SIGTERM, shutting down gracefully...'
   },
   CONFIG: {
     LOAD_FAILED: (error) => `Failed to load config: ${error}`,
+    INVALID_JSON: (error) => `(root): invalid JSON: ${error}`,
+    INVALID: (configPath, errors) => `Invalid configuration in ${configPath}:\n${errors.map(error => `  - ${error}`).join('\n')}`,
+    VALID: (configPath) => `Configuration in ${configPath} is valid`,
+    WARNING: (warning) => `Config warning: ${warning}`,
+    WATCHING: (configPath) => `Watching ${configPath} and .env for changes`,
+    RELOADING: 'Configuration changed, reloading',
+    RELOADED: 'Configuration reloaded',
+    SERVICES_REBUILT: (services) => services.size > 0 ? `Rebuilt services: ${[...services].join(', ')}` : 'No services needed rebuilding',
+    RELOAD_FAILED: (error) => `Keeping the previous configuration - reload failed: ${error}`,
+    RELOAD_REFRESH: 'Sources changed, refreshing the playlist',
+    RESTART_REQUIRED: (settings) => `Changes to ${settings} only take effect after a restart`,
     INITIALIZE_FAILED: 'Failed to initialize server:',
     START_FAILED: 'Failed to start server:'
   },
@@ -22,6 +34,11 @@ const MESSAGES = {
     UPDATE_SUCCESS: 'Playlist updated successfully',
     UPDATE_FAILED: 'Failed to update playlist',
     NOT_FOUND: 'Playlist not found',
+    DEGRADED: (reason) => `${reason} - keeping the last good playlist`,
+    DEGRADED_KEPT: 'Refresh was degraded, the last good playlist is still being served',
+    DEGRADED_RETRY: (minutes) => `Retrying degraded refresh in ${minutes} minutes`,
+    RECOVERED: 'Refresh succeeded, playlist is no longer degraded',
+    INVALID_LIMIT: (value) => `Invalid limit "${value}" - must be a positive integer`,
     LOGO_ENHANCEMENT_STARTED: 'Starting background logo enhancement with Wikimedia search...',
     LOGO_ENHANCEMENT_SKIPPED: 'Logo enhancement skipped - Wikimedia disabled in config',
     LOGO_ENHANCEMENT_COMPLETED: (count) => `Background logo enhancement completed: ${count} logos improved`,
@@ -43,10 +60,65 @@ const MESSAGES = {
   REFRESH: {
     MANUAL_FAILED: 'Manual refresh failed:'
   },
+  SECRETS: {
+    SAFE_STORAGE_UNAVAILABLE: 'This secret was encrypted with the system keychain, which is not available',
+    DECRYPT_FAILED: 'Could not decrypt secret - the passphrase may have changed',
+    UNKNOWN_SCHEME: (scheme) => `Unknown secret encryption scheme: ${scheme}`
+  },
+  METRICS: {
+    DISABLED: 'Metrics are disabled'
+  },
+  REFRESH_HISTORY: {
+    RECORDED: (id, trigger, outcome, requests) => `Recorded ${trigger} refresh ${id}: ${outcome}, ${requests} addon requests`,
+    NOT_FOUND: 'Refresh not found',
+    INVALID_LIMIT: (limit) => `Invalid limit "${limit}" - must be a positive whole number`,
+    LOAD_FAILED: (error) => `Failed to load refresh history: ${error}`,
+    SAVE_FAILED: (error) => `Failed to save refresh history: ${error}`,
+    SERVING_ERROR: 'Error serving refresh history:'
+  },
+  MEDIA_SERVERS: {
+    NOTIFIED: (name, action) => `Asked ${name} to ${action === 'refreshTuner' ? 'refresh its tuner' : 'refresh its guide'}`,
+    NOTIFY_FAILED: (name, action, reason) => `Failed to ${action === 'refreshTuner' ? 'refresh the tuner on' : 'refresh the guide on'} ${name}: ${reason}`,
+    TUNER_REGISTERED: (name, playlistUrl) => `Registered ${playlistUrl} as an M3U tuner on ${name}`,
+    TUNER_EXISTS: (name) => `Playlist is already registered as a tuner on ${name}`,
+    TUNER_REGISTER_FAILED: (name, reason) => `Failed to register the playlist as a tuner on ${name}: ${reason}`,
+    TUNER_NOT_REGISTERED: (playlistUrl) => `No M3U tuner with URL ${playlistUrl} - register it first or enable registerTuner`,
+    TASK_NOT_FOUND: (key) => `Scheduled task ${key} not found`,
+    UNAUTHORIZED: (status) => `HTTP ${status} - check the API key`,
+    UNKNOWN_TYPE: (type) => `Unknown media server type: ${type}`,
+    NOT_FOUND: 'Notifier not found'
+  },
+  WEBHOOKS: {
+    DELIVERED: (name, event, attempts) => `Delivered ${event} to webhook ${name}${attempts > 1 ? ` after ${attempts} attempts` : ''}`,
+    DELIVERY_FAILED: (name, event, reason, attempts) => `Failed to deliver ${event} to webhook ${name} after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${reason}`,
+    RETRYING: (name, event, reason, delay) => `Webhook ${name} failed for ${event} (${reason}), retrying in ${delay}ms`,
+    LOAD_FAILED: (error) => `Failed to load webhook delivery log: ${error}`,
+    SAVE_FAILED: (error) => `Failed to save webhook delivery log: ${error}`,
+    NOT_FOUND: 'Webhook not found',
+    INVALID_STATUS: (status) => `Invalid status "${status}" - use delivered or failed`,
+    REFRESH_COMPLETED: (channels, durationMs) => `Playlist refreshed with ${channels} channels in ${durationMs}ms`,
+    REFRESH_DEGRADED: (error) => `Playlist refresh was degraded, the previous playlist is still served: ${error}`,
+    REFRESH_FAILED: (error) => `Playlist refresh failed: ${error}`,
+    CHANNELS_ADDED: (count) => `${count} channel${count === 1 ? '' : 's'} added to the playlist`,
+    CHANNELS_REMOVED: (count) => `${count} channel${count === 1 ? '' : 's'} removed from the playlist`,
+    LOGOS_ENHANCED: (logosEnhanced, processed) => `Logo enhancement finished: ${logosEnhanced} of ${processed} channels got a better logo`,
+    TEST: 'This is a test notification from Debridio Emby Resolver'
+  },
+  LOGS: {
+    INVALID_LEVEL: (level) => `Invalid level "${level}" - use error, warn, info or debug`,
+    INVALID_SINCE: (since) => `Invalid since "${since}" - use an ISO date or a number of minutes`,
+    INVALID_LIMIT: (limit) => `Invalid limit "${limit}" - must be a positive whole number`
+  },
+  AUTH: {
+    REQUIRED: 'Authentication required',
+    FORBIDDEN: (scope) => `This request needs the '${scope}' scope`,
+    INVALID_CREDENTIALS: (ip, requestPath) => `Rejected invalid credentials from ${ip} for ${requestPath}`
+  },
   STREMIO: {
     FETCH_STARTED: 'Starting content fetch from addons',
     FETCH_ADDON: (addonId) => `Fetching content from addon: ${addonId}`,
     FETCH_FAILED: (category, addonId) => `Failed to fetch ${category} content from ${addonId}:`,
+    FETCH_ADDON_COMPLETED: (addonId, count) => `Fetched ${count} content items from addon: ${addonId}`,
     FETCH_COMPLETED: (count) => `Fetched ${count} content items from addons`,
     FETCH_ERROR: 'Failed to fetch content from addons:',
     ADDON_ERROR: (addonId, category) => `Error fetching content from ${addonId} for ${category}:`,
@@ -63,22 +135,89 @@ const MESSAGES = {
     CATALOG_FETCH: (addonName, category) => `Fetching ${category} catalog from ${addonName}`,
     CATALOG_SUCCESS: (itemCount, addonName) => `Found ${itemCount} items in ${addonName} catalog`,
     CATALOG_FAILED: (addonName, category) => `Failed to fetch ${category} catalog from ${addonName}`,
+    ALL_CATALOGS_FAILED: (addonName, category, error) => `Every ${category} catalog of ${addonName} failed, last error: ${error}`,
+    MANIFEST_UNAVAILABLE: (error) => `Manifest unavailable: ${error}`,
     STREAMS_FETCH: (title) => `Fetching streams for: ${title}`,
     STREAMS_SUCCESS: (streamCount, title) => `Found ${streamCount} streams for: ${title}`,
     STREAMS_FAILED: (title) => `Failed to fetch streams for: ${title}`
   },
+  HTTP: {
+    RETRYING: (url, attempt, maxRetries, delay, reason) => `Request to ${url} failed (${reason}), retry ${attempt}/${maxRetries} in ${delay}ms`
+  },
   PLAYLIST_GENERATOR: {
     GENERATION_STARTED: 'Starting M3U playlist generation',
     GENERATION_COMPLETED: (itemCount, filePath) => `M3U playlist generated with ${itemCount} items at ${filePath}`,
     GENERATION_FAILED: 'Failed to generate M3U playlist:',
     WRITE_ERROR: 'Error writing playlist file:',
+    UNCHANGED: (itemCount) => `M3U playlist unchanged (${itemCount} items), skipping write and backup`,
     BACKUP_CREATED: (backupPath) => `Backup created at ${backupPath}`,
     BACKUP_FAILED: 'Failed to create backup:',
+    DEGRADED_EMPTY: 'Refresh produced no channels',
+    DEGRADED_DROP: (fetchedCount, previousFetchedCount, minPercent) => `Addons returned ${fetchedCount} channels, below ${minPercent}% of the ${previousFetchedCount} they returned for the published playlist`,
+    DEGRADED_UNAVAILABLE: (channelCount, candidateCount, publishedCount, minPercent) => `Only ${channelCount} of ${candidateCount} streams passed the health check, below ${minPercent}% of the ${publishedCount} channels in the published playlist`,
     VALIDATION_STARTED: 'Validating playlist content',
     VALIDATION_COMPLETED: (validCount, totalCount) => `Playlist validation completed: ${validCount}/${totalCount} valid items`,
+    DUPLICATE_CHANNEL_ID: (channelId, title, replacement) => `Channel ID ${channelId} of ${title} is already taken, using ${replacement}`,
     STREAM_FILTERED: (originalCount, filteredCount) => `Streams filtered: ${originalCount} -> ${filteredCount} available streams`,
     STATS_ERROR: 'Error getting playlist stats:'
   },
+  EPG: {
+    NOT_AVAILABLE: 'EPG not available yet - waiting for first playlist generation',
+    GENERATED: (channelCount, programmeCount) => `EPG generated with ${channelCount} channels and ${programmeCount} programmes`,
+    SERVING_ERROR: 'Error serving EPG:'
+  },
+  STREAM_RESOLVER: {
+    CHANNEL_NOT_FOUND: 'Channel not found in current playlist',
+    SERVING_ERROR: 'Error resolving stream:',
+    CACHE_HIT: (channelId) => `Stream URL cache hit for ${channelId}`,
+    RESOLVED: (channelId) => `Resolved fresh stream URL for ${channelId}`,
+    RESOLVE_FAILED: (channelId, error) => `Failed to resolve fresh stream URL for ${channelId}: ${error}`,
+    FALLBACK: (channelId) => `Using stream URL from last refresh for ${channelId}`
+  },
+  HDHOMERUN: {
+    DISCOVER_URL: (baseUrl) => `HDHomeRun tuner available at: ${baseUrl}/discover.json`,
+    SSDP_STARTED: (location) => `SSDP discovery enabled, advertising ${location}`,
+    SSDP_ERROR: (error) => `SSDP responder error: ${error}`,
+    SSDP_SEND_FAILED: (address, error) => `Failed to send SSDP message to ${address}: ${error}`
+  },
+  HEALTH_CHECK: {
+    DISABLED: 'Stream health checks disabled, keeping all streams',
+    STARTED: (streamCount, concurrency) => `Checking health of ${streamCount} live streams (${concurrency} at a time)...`,
+    STREAM_FAILED: (url, reason) => `Stream probe failed for ${url}: ${reason}`,
+    CHANNEL_FLAKY: (title, successRate) => `Channel ${title} is flaky (${Math.round(successRate * 100)}% recent success rate)`,
+    CHANNEL_DROPPED: (title, successRate) => `Dropping flaky channel ${title} (${Math.round(successRate * 100)}% recent success rate)`,
+    COMPLETED: (healthy, total, flagged, dropped, duration) => `Health check completed in ${duration}ms: ${healthy}/${total} channels healthy, ${flagged} flagged, ${dropped} dropped`,
+    HISTORY_LOAD_FAILED: (error) => `Failed to load stream health history: ${error}`,
+    HISTORY_SAVE_FAILED: (error) => `Failed to save stream health history: ${error}`
+  },
+  LINEUP: {
+    NOT_FOUND: (path) => `No lineup file at ${path}, using fetched channel order`,
+    LOAD_FAILED: (path, error) => `Failed to load lineup file ${path}, ignoring it: ${error}`,
+    INVALID_RULE: (section, rule) => `Ignoring lineup ${section} rule without id, name or regex: ${rule}`,
+    INVALID_REGEX: (section, regex, error) => `Ignoring lineup ${section} rule with invalid regex /${regex}/: ${error}`,
+    INVALID_NUMBER: (title, number) => `Ignoring invalid channel number "${number}" for ${title}`,
+    UNMATCHED_RULE: (section, rule) => `Lineup ${section} rule matched no channels: ${rule}`,
+    APPLIED: (fetchedCount, keptCount) => `Lineup applied: ${keptCount}/${fetchedCount} channels kept`
+  },
+  BACKUPS: {
+    NOT_FOUND: 'Backup not found',
+    SERVING_ERROR: 'Error serving playlist backups:',
+    RESTORED: (id) => `Restored playlist from backup ${id}`,
+    RESTORE_SUCCESS: (id) => `Playlist restored from ${id}. The next refresh will replace it.`,
+    RESTORE_FAILED: 'Failed to restore playlist backup:',
+    STALE_AFTER_RESTORE: (id) => `Unavailable until the next refresh: the published playlist was restored from ${id} and doesn't match the last refresh's channels`,
+    PRUNED: (count) => `Removed ${count} old playlist backups`
+  },
+  SNAPSHOT: {
+    NOT_AVAILABLE: 'No channel changes recorded yet - waiting for first playlist generation',
+    SERVING_ERROR: 'Error serving channel changes:',
+    SAVED: (filename, channelCount) => `Saved channel snapshot ${filename} (${channelCount} channels)`,
+    PRUNED: (count) => `Removed ${count} old channel snapshots`,
+    READ_FAILED: (filename, error) => `Failed to read channel snapshot ${filename}: ${error}`,
+    SAVE_FAILED: (error) => `Failed to record channel snapshot: ${error}`,
+    FIRST_SNAPSHOT: (channelCount) => `Recorded first channel snapshot with ${channelCount} channels`,
+    DIFF_SUMMARY: (summary) => `Channel changes since last refresh: +${summary.added} added, -${summary.removed} removed, ${summary.renamed} renamed, ${summary.streamChanged} stream changed`
+  },
   LOGO_SERVICE: {
     WIKIMEDIA_SEARCH: (channelName) => `Searching Wikimedia for logo: ${channelName}`,
     WIKIMEDIA_SUCCESS: (channelName, logoUrl) => `Found Wikimedia logo for ${channelName}: ${logoUrl}`,
@@ -105,15 +244,18 @@ const MESSAGES = {
     FILE_CLEANUP: (filename) => `Removed cached logo file: ${filename}`
   },
   DEBRIDIO: {
-    SEQUENTIAL_FETCH_START: 'Attempting sequential fetch of real Debridio channels...',
-    SEQUENTIAL_FETCH_SUCCESS: (count) => `Successfully fetched ${count} real Debridio channels`,
-    CHANNEL_CONFIG_DETECTED: (config) => `Detected channel configuration: ${JSON.stringify(config)}`,
+    FETCH_START: (label) => `Fetching real Debridio channels for profile ${label}...`,
+    FETCH_SUCCESS: (count, label) => `Successfully fetched ${count} real Debridio channels for profile ${label}`,
+    PROFILE_EMPTY: (label) => `Debridio profile ${label} returned no channels`,
+    PROFILE_FAILED: (label, error) => `Could not fetch Debridio channels for profile ${label}: ${error}`,
+    CHANNEL_CONFIG_DETECTED: (config) => `Detected channel configuration with settings: ${Object.keys(config).join(', ')}`,
     MANIFEST_FETCH: (url) => `Fetching Debridio manifest from: ${url}`,
-    CATALOGS_FOUND: (count) => `Found ${count} TV catalogs, processing sequentially...`,
+    CATALOGS_FOUND: (count) => `Found ${count} TV catalogs`,
     CATALOG_FETCH: (current, total, url) => `Fetching catalog ${current}/${total}: ${url}`,
     CHANNEL_PROCESSED: (title) => `Successfully processed channel: ${title}`,
-    CHANNEL_FAILED: (name, error) => `Failed to process channel ${name}: ${error}`,
-    SEQUENTIAL_COMPLETED: (count) => `Sequential fetch completed: ${count} channels processed`,
+    CHANNEL_FETCH_START: (count, concurrency, label) => `Fetching streams for ${count} channels in profile ${label} (${concurrency} at a time)...`,
+    CHANNEL_FETCH_PROGRESS: (completed, total, label) => `Profile ${label}: ${completed}/${total} channels fetched`,
+    CHANNEL_FETCH_COMPLETED: (count, total) => `Channel fetch completed: ${count}/${total} channels have streams`,
     NO_ADDON_URL: 'No Debridio addon URL found in config',
     NO_CATALOGS: 'No catalogs found in Debridio manifest',
     STREAMS_FETCH: (name) => `Fetching streams for channel: ${name}`,
@@ -128,13 +270,12 @@ const MESSAGES = {
 
   ADDON: {
     LIVE_TV_DETECTED: (addonName) => `Detected live TV addon: ${addonName}`,
+    CATEGORY_NOT_SUPPORTED: (addonName, category) => `Addon ${addonName} does not provide ${category} content, skipping`,
     FETCH_CATALOG: (catalogUrl) => `Fetching live TV catalog: ${catalogUrl}`,
     PROCESS_ITEM_FAILED: (itemId, error) => `Failed to process meta item ${itemId}: ${error}`,
     FETCH_CATALOG_FAILED: (catalogUrl, error) => `Failed to fetch from ${catalogUrl}: ${error}`,
-    REAL_CONTENT_ERROR: (addonName, error) => `Error fetching real content from ${addonName}: ${error}`,
     LIVE_TV_ITEM_FAILED: (itemId, error) => `Failed to process live TV item ${itemId}: ${error}`,
     TV_CATALOG_FAILED: (catalogId, error) => `Failed to fetch TV catalog ${catalogId}: ${error}`,
-    LIVE_TV_CONTENT_ERROR: (error) => `Error fetching live TV content: ${error}`,
     LIVE_TV_STREAMS_FETCH: (channelName) => `Fetching live TV streams for: ${channelName}`,
     LIVE_TV_PROCESS_FAILED: (channelName, error) => `Failed to process live TV item ${channelName}: ${error}`
   },
@@ -0,0 +1,106 @@
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+const MESSAGES = require('../messages');
+const { createHostLimiter } = require('../utils/concurrency');
+
+// Errors worth retrying: timeouts, dropped connections and overloaded or briefly unavailable servers.
+// Anything else (404, bad request, unknown host, refused connection) fails straight away.
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+const MAX_RETRY_DELAY = 30000;
+
+// Shared HTTP layer for all addon requests (manifests, catalogs and streams)
+class AddonHttpClient {
+  constructor(config, logger) {
+    const defaultTimeout = config.stremio?.timeout || 10000;
+
+    this.config = config;
+    this.logger = logger;
+    this.maxRetries = config.playlist?.maxRetries ?? 3;
+    this.retryDelay = config.playlist?.retryDelay ?? 5000;
+    this.tracking = new AsyncLocalStorage(); // Request counters of the fetch running in the current async context, see track()
+    // Shared by refreshes and play-time lookups so no addon host sees more than this many requests at once.
+    // Taken per attempt, so a request waiting out its retry backoff doesn't hold a slot
+    this.hostLimiter = createHostLimiter(config.debridio?.perHostConcurrency || 4);
+    this.timeouts = {
+      manifest: defaultTimeout,
+      catalog: defaultTimeout,
+      stream: defaultTimeout,
+      ...config.stremio?.timeouts
+    };
+    this.client = axios.create({
+      timeout: defaultTimeout,
+      headers: {
+        'User-Agent': config.stremio?.userAgent || 'Stremio/4.4.0',
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      // Don't follow redirects to avoid getting the web shell
+      maxRedirects: 0,
+      validateStatus: function (status) {
+        return status >= 200 && status < 400; // Accept redirects as valid
+      }
+    });
+  }
+
+  // Runs fn() and counts every request it makes, including ones started concurrently, into
+  // stats ({ requests, retries, failedRequests }). Requests made outside fn() are not counted
+  track(stats, fn) {
+    return this.tracking.run(stats, fn);
+  }
+
+  getTrackedStats() {
+    return this.tracking.getStore() || null;
+  }
+
+  // options.requestType picks the timeout (manifest, catalog or stream); options.maxRetries overrides the retry count
+  async get(url, options = {}) {
+    const { requestType, maxRetries = this.maxRetries, ...axiosOptions } = options;
+    const timeout = axiosOptions.timeout || this.timeouts[requestType] || this.client.defaults.timeout;
+    const stats = this.getTrackedStats();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (stats) stats.requests++;
+        return await this.hostLimiter(url, () => this.client.get(url, { ...axiosOptions, timeout }));
+      } catch (error) {
+        if (attempt >= maxRetries || !this.isRetryable(error)) {
+          if (stats) stats.failedRequests++;
+          throw error;
+        }
+
+        if (stats) stats.retries++;
+        const delay = this.getRetryDelay(attempt, error);
+        this.logger.debug(MESSAGES.HTTP.RETRYING(url, attempt + 1, maxRetries, delay, this.describeError(error)));
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUS_CODES.includes(error.response.status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  getRetryDelay(attempt, error) {
+    // Exponential backoff with jitter so parallel requests don't retry in lockstep
+    const backoff = Math.min(this.retryDelay * Math.pow(2, attempt), MAX_RETRY_DELAY);
+    let delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+    // Respect the server's Retry-After (in seconds) when rate limited
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+      delay = Math.max(delay, Math.min(retryAfter * 1000, MAX_RETRY_DELAY));
+    }
+
+    return delay;
+  }
+
+  describeError(error) {
+    return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+  }
+}
+
+module.exports = AddonHttpClient;
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const MESSAGES = require('../messages');
+
+// 'read' covers the playlist, EPG, stream redirects and the tuner; 'admin' covers everything else and implies 'read'.
+// 'stream' only covers stream redirects, and is what the tokens in generated /stream links grant
+const SCOPES = ['read', 'admin'];
+const REALM = 'Stremio Debridio Emby Resolver';
+const STREAM_TOKEN_PREFIX = 'stream.';
+
+class AuthService {
+  constructor(config = {}, logger) {
+    this.config = {
+      enabled: false,
+      tokens: [],
+      users: [],
+      anonymousScopes: [],
+      ...config
+    };
+    this.logger = logger;
+  }
+
+  hasScope(scopes, scope) {
+    return scopes.includes(scope) || scopes.includes('admin') || (scope === 'stream' && scopes.includes('read'));
+  }
+
+  // Compares hashes so the time taken doesn't depend on how much of the secret matched
+  safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+  }
+
+  getToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return authorization.slice(7).trim();
+    }
+
+    // Media servers can only be given a URL, so the token may also come as ?token=
+    return req.headers['x-api-token'] || (typeof req.query.token === 'string' ? req.query.token : null);
+  }
+
+  getBasicCredentials(req) {
+    const authorization = req.headers.authorization || '';
+    if (!authorization.startsWith('Basic ')) {
+      return null;
+    }
+
+    const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+    const separatorIndex = decoded.indexOf(':');
+    if (separatorIndex === -1) {
+      return null;
+    }
+
+    return { username: decoded.slice(0, separatorIndex), password: decoded.slice(separatorIndex + 1) };
+  }
+
+  // Keyed on every configured credential, so changing or revoking one invalidates the stream tokens handed out so far
+  signStreamToken(name) {
+    const key = crypto.createHash('sha256').update(JSON.stringify([this.config.tokens, this.config.users])).digest();
+    return crypto.createHmac('sha256', key).update(`${STREAM_TOKEN_PREFIX}${name}`).digest('base64url');
+  }
+
+  // Players and media servers only get the URLs in a playlist or tuner lineup, so its /stream links carry a token
+  // for the caller that fetched it. The token only grants the 'stream' scope
+  createStreamToken(identity) {
+    return `${STREAM_TOKEN_PREFIX}${Buffer.from(identity.name).toString('base64url')}.${this.signStreamToken(identity.name)}`;
+  }
+
+  // The stream token to put in the links served to this request, or null when links need none
+  getStreamToken(req) {
+    return this.config.enabled && req.auth ? this.createStreamToken(req.auth) : null;
+  }
+
+  verifyStreamToken(token) {
+    const [encodedName, signature] = token.slice(STREAM_TOKEN_PREFIX.length).split('.');
+    const name = Buffer.from(encodedName || '', 'base64url').toString('utf8');
+    if (!name || !signature || !this.safeEqual(signature, this.signStreamToken(name))) {
+      return null;
+    }
+    return { name, scopes: ['stream'] };
+  }
+
+  // Returns the matching identity, undefined when no credentials were sent, or null when they were wrong
+  authenticate(req) {
+    const token = this.getToken(req);
+    if (token && token.startsWith(STREAM_TOKEN_PREFIX)) {
+      return this.verifyStreamToken(token);
+    }
+    if (token) {
+      const entry = this.config.tokens.find(candidate => this.safeEqual(candidate.token, token));
+      return entry ? { name: entry.name || 'token', scopes: entry.scopes || ['read'] } : null;
+    }
+
+    const credentials = this.getBasicCredentials(req);
+    if (credentials) {
+      const user = this.config.users.find(candidate =>
+        this.safeEqual(candidate.username, credentials.username) && this.safeEqual(candidate.password, credentials.password)
+      );
+      return user ? { name: user.username, scopes: user.scopes || SCOPES } : null;
+    }
+
+    return undefined;
+  }
+
+  authorize(scope, req, res, next) {
+    if (!this.config.enabled) {
+      return next();
+    }
+
+    const identity = this.authenticate(req);
+    if (identity === null) {
+      this.logger.warn(MESSAGES.AUTH.INVALID_CREDENTIALS(req.ip, req.path));
+    }
+
+    const scopes = identity ? identity.scopes : this.config.anonymousScopes;
+    if (identity !== null && this.hasScope(scopes, scope)) {
+      req.auth = identity || null;
+      return next();
+    }
+
+    if (identity) {
+      return res.status(403).json({ error: MESSAGES.AUTH.FORBIDDEN(scope) });
+    }
+
+    // Lets browsers show a login prompt for the status page
+    if (this.config.users.length > 0) {
+      res.setHeader('WWW-Authenticate', `Basic realm="${REALM}", charset="UTF-8"`);
+    }
+    res.status(401).json({ error: MESSAGES.AUTH.REQUIRED });
+  }
+}
+
+module.exports = AuthService;
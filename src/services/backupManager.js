@@ -0,0 +1,169 @@
+const fs = require('fs-extra');
+const path = require('path');
+const MESSAGES = require('../messages');
+const { diffChannels } = require('../utils/channelDiff');
+const { writeFileAtomic } = require('../utils/atomicWrite');
+
+// Keeps timestamped copies of the published playlist so a bad refresh can be rolled back
+class BackupManager {
+  constructor(config = {}, logger, outputPath) {
+    this.config = {
+      directory: config.directory || './backups',
+      maxCount: config.maxCount ?? 48,
+      maxAgeDays: config.maxAgeDays ?? 7,
+      ...config
+    };
+    this.logger = logger;
+    this.outputPath = outputPath;
+    this.backupsDir = path.resolve(this.config.directory);
+    this.filePrefix = `${path.basename(outputPath)}.backup.`;
+  }
+
+  async create() {
+    if (!await fs.pathExists(this.outputPath)) {
+      return null;
+    }
+
+    await fs.ensureDir(this.backupsDir);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(this.backupsDir, `${this.filePrefix}${timestamp}`);
+
+    await fs.copy(this.outputPath, backupPath);
+    this.logger.info(MESSAGES.PLAYLIST_GENERATOR.BACKUP_CREATED(backupPath));
+
+    await this.prune();
+    return path.basename(backupPath);
+  }
+
+  async listBackupIds() {
+    if (!await fs.pathExists(this.backupsDir)) {
+      return [];
+    }
+
+    // Timestamped names sort chronologically; newest first
+    const files = await fs.readdir(this.backupsDir);
+    return files.filter(file => file.startsWith(this.filePrefix)).sort().reverse();
+  }
+
+  async list() {
+    const backups = [];
+
+    for (const id of await this.listBackupIds()) {
+      const backupPath = path.join(this.backupsDir, id);
+      const [stats, content] = await Promise.all([fs.stat(backupPath), fs.readFile(backupPath, 'utf8')]);
+
+      backups.push({
+        id,
+        createdAt: this.getCreatedAt(id, stats),
+        size: stats.size,
+        channelCount: (content.match(/^#EXTINF:/gm) || []).length
+      });
+    }
+
+    return backups;
+  }
+
+  getCreatedAt(id, stats) {
+    // 2025-09-15T00-51-18-990Z -> 2025-09-15T00:51:18.990Z
+    const timestamp = id.slice(this.filePrefix.length).replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? stats.mtime.toISOString() : date.toISOString();
+  }
+
+  async getBackupPath(id) {
+    // Only ids from the listing are accepted, which also rules out path traversal
+    const ids = await this.listBackupIds();
+    if (!ids.includes(id)) {
+      return null;
+    }
+    return path.join(this.backupsDir, id);
+  }
+
+  async read(id) {
+    const backupPath = await this.getBackupPath(id);
+    return backupPath ? fs.readFile(backupPath, 'utf8') : null;
+  }
+
+  async diff(id) {
+    const backupContent = await this.read(id);
+    if (backupContent === null) {
+      return null;
+    }
+
+    const currentContent = await fs.pathExists(this.outputPath) ? await fs.readFile(this.outputPath, 'utf8') : '';
+
+    // Describes what restoring this backup would change compared to the published playlist
+    return diffChannels(this.parseChannels(currentContent), this.parseChannels(backupContent));
+  }
+
+  async restore(id) {
+    const content = await this.read(id);
+    if (content === null) {
+      return false;
+    }
+
+    // Back up the current playlist first so a restore can itself be undone
+    // (read the backup beforehand, as pruning may remove it if it's the oldest)
+    await this.create();
+    await writeFileAtomic(this.outputPath, content);
+
+    this.logger.info(MESSAGES.BACKUPS.RESTORED(id));
+    return true;
+  }
+
+  parseChannels(content) {
+    const channels = [];
+    const lines = content.split('\n').map(line => line.trim());
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].startsWith('#EXTINF:')) continue;
+
+      const idMatch = lines[i].match(/tvg-id="([^"]*)"/);
+      const title = lines[i].slice(lines[i].lastIndexOf(',') + 1);
+
+      // The stream URL is the first non-comment line after the EXTINF entry
+      let streamUrl = null;
+      for (let j = i + 1; j < lines.length && !lines[j].startsWith('#EXTINF:'); j++) {
+        if (lines[j] && !lines[j].startsWith('#')) {
+          streamUrl = lines[j];
+          break;
+        }
+      }
+
+      channels.push({
+        id: idMatch ? idMatch[1] : title,
+        title,
+        streamUrls: streamUrl ? [streamUrl] : []
+      });
+    }
+
+    return channels;
+  }
+
+  async prune() {
+    const ids = await this.listBackupIds();
+    const cutoff = Date.now() - this.config.maxAgeDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (let index = 0; index < ids.length; index++) {
+      const backupPath = path.join(this.backupsDir, ids[index]);
+      const createdAt = new Date(this.getCreatedAt(ids[index], await fs.stat(backupPath))).getTime();
+
+      // ids are newest first, so anything past maxCount is the oldest
+      const tooMany = this.config.maxCount > 0 && index >= this.config.maxCount;
+      const tooOld = this.config.maxAgeDays > 0 && createdAt < cutoff;
+
+      if (tooMany || tooOld) {
+        await fs.remove(backupPath);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.logger.info(MESSAGES.BACKUPS.PRUNED(removed));
+    }
+  }
+}
+
+module.exports = BackupManager;
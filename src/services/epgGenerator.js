@@ -0,0 +1,146 @@
+const MESSAGES = require('../messages');
+const { escapeXml } = require('../utils/xml');
+
+class EpgGenerator {
+  constructor(config = {}, logger, playlistGenerator) {
+    this.config = {
+      placeholderSlotMinutes: config.placeholderSlotMinutes || 60,
+      placeholderHours: config.placeholderHours || 48,
+      ...config
+    };
+    this.logger = logger;
+    this.playlistGenerator = playlistGenerator;
+  }
+
+  generate(content) {
+    // Use the playlist's own channel entries so tvg-id and channel numbers always match /playlist
+    const entries = this.playlistGenerator.buildChannelEntries(content);
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += '<!DOCTYPE tv SYSTEM "xmltv.dtd">\n';
+    xml += `<tv generator-info-name="${escapeXml(this.playlistGenerator.config.name)}">\n`;
+
+    for (const entry of entries) {
+      xml += this.generateChannelElement(entry);
+    }
+
+    let programmeCount = 0;
+    for (const entry of entries) {
+      const programmes = this.getProgrammes(entry.item);
+      programmeCount += programmes.length;
+
+      for (const programme of programmes) {
+        xml += this.generateProgrammeElement(entry, programme);
+      }
+    }
+
+    xml += '</tv>\n';
+
+    this.logger.debug(MESSAGES.EPG.GENERATED(entries.length, programmeCount));
+    return xml;
+  }
+
+  generateChannelElement(entry) {
+    const { item, channelId, channelNumber, title } = entry;
+
+    let xml = `  <channel id="${escapeXml(channelId)}">\n`;
+    xml += `    <display-name>${escapeXml(title)}</display-name>\n`;
+
+    // Plain channel name helps guide matching when the formatted title carries quality tags
+    if (item.title !== title) {
+      xml += `    <display-name>${escapeXml(item.title)}</display-name>\n`;
+    }
+
+    xml += `    <display-name>${channelNumber}</display-name>\n`;
+
+    if (item.poster) {
+      xml += `    <icon src="${escapeXml(item.poster)}" />\n`;
+    }
+
+    xml += '  </channel>\n';
+    return xml;
+  }
+
+  generateProgrammeElement(entry, programme) {
+    const { item, channelId } = entry;
+
+    let xml = `  <programme start="${this.formatXmltvDate(programme.start)}" stop="${this.formatXmltvDate(programme.stop)}" channel="${escapeXml(channelId)}">\n`;
+    xml += `    <title lang="${escapeXml(item.language || 'en')}">${escapeXml(programme.title)}</title>\n`;
+
+    if (programme.description) {
+      xml += `    <desc lang="${escapeXml(item.language || 'en')}">${escapeXml(programme.description)}</desc>\n`;
+    }
+
+    if (item.genre) {
+      xml += `    <category lang="en">${escapeXml(item.genre)}</category>\n`;
+    }
+
+    if (item.poster) {
+      xml += `    <icon src="${escapeXml(item.poster)}" />\n`;
+    }
+
+    xml += '  </programme>\n';
+    return xml;
+  }
+
+  getProgrammes(item) {
+    const slotMs = this.config.placeholderSlotMinutes * 60 * 1000;
+
+    // Prefer programme data provided by the addon meta
+    if (Array.isArray(item.programmes) && item.programmes.length > 0) {
+      const sorted = item.programmes
+        .map(programme => ({ ...programme, start: new Date(programme.start) }))
+        .filter(programme => !isNaN(programme.start.getTime()))
+        .sort((a, b) => a.start - b.start);
+
+      if (sorted.length > 0) {
+        return sorted.map((programme, index) => {
+          // Without an explicit end, a programme runs until the next one starts
+          let stop = programme.stop ? new Date(programme.stop) : null;
+          if (!stop || isNaN(stop.getTime())) {
+            stop = sorted[index + 1] ? sorted[index + 1].start : new Date(programme.start.getTime() + slotMs);
+          }
+
+          return {
+            start: programme.start,
+            stop,
+            title: programme.title || item.title,
+            description: programme.description || null
+          };
+        });
+      }
+    }
+
+    return this.generatePlaceholderProgrammes(item);
+  }
+
+  generatePlaceholderProgrammes(item) {
+    const slotMs = this.config.placeholderSlotMinutes * 60 * 1000;
+    const endTime = Date.now() + this.config.placeholderHours * 60 * 60 * 1000;
+
+    // Align slots to the current slot boundary so guides stay stable between requests
+    let slotStart = Math.floor(Date.now() / slotMs) * slotMs;
+    const programmes = [];
+
+    while (slotStart < endTime) {
+      programmes.push({
+        start: new Date(slotStart),
+        stop: new Date(slotStart + slotMs),
+        title: item.title,
+        description: item.description || null
+      });
+      slotStart += slotMs;
+    }
+
+    return programmes;
+  }
+
+  formatXmltvDate(date) {
+    // XMLTV expects YYYYMMDDHHmmss +0000
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+           `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())} +0000`;
+  }
+}
+
+module.exports = EpgGenerator;
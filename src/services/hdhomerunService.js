@@ -0,0 +1,85 @@
+const { escapeXml } = require('../utils/xml');
+
+// Emulates the HTTP API of an HDHomeRun network tuner so Emby, Plex and Jellyfin
+// can add this resolver as a tuner instead of (or alongside) an M3U playlist
+class HdHomeRunService {
+  constructor(config = {}, logger, playlistGenerator) {
+    this.config = {
+      deviceId: config.deviceId || '12345678',
+      friendlyName: config.friendlyName || 'Stremio Debridio Emby Resolver',
+      tunerCount: config.tunerCount || 2,
+      ...config
+    };
+    this.logger = logger;
+    this.playlistGenerator = playlistGenerator;
+  }
+
+  getBaseUrl() {
+    return this.playlistGenerator.config.publicUrl.replace(/\/$/, '');
+  }
+
+  // token is the one the tuner client used, so it can fetch the lineup with it too
+  getDiscoverData(token = null) {
+    const baseUrl = this.getBaseUrl();
+
+    return {
+      FriendlyName: this.config.friendlyName,
+      Manufacturer: 'Silicondust',
+      ModelNumber: 'HDTC-2US',
+      FirmwareName: 'hdhomeruntc_atsc',
+      FirmwareVersion: '20150826',
+      TunerCount: this.config.tunerCount,
+      DeviceID: this.config.deviceId,
+      DeviceAuth: 'stremio-debridio',
+      BaseURL: baseUrl,
+      LineupURL: token ? `${baseUrl}/lineup.json?token=${encodeURIComponent(token)}` : `${baseUrl}/lineup.json`
+    };
+  }
+
+  getLineupStatus() {
+    return {
+      ScanInProgress: 0,
+      ScanPossible: 1,
+      Source: 'Cable',
+      SourceList: ['Cable']
+    };
+  }
+
+  getLineup(content, streamToken = null) {
+    if (!content) {
+      return [];
+    }
+
+    // Same entries, numbers and URLs as the M3U playlist
+    return this.playlistGenerator.buildChannelEntries(content).map(entry => ({
+      GuideNumber: String(entry.channelNumber),
+      GuideName: entry.title,
+      URL: this.playlistGenerator.getStreamUrl(entry, streamToken)
+    }));
+  }
+
+  getDeviceXml() {
+    const baseUrl = this.getBaseUrl();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+  <URLBase>${escapeXml(baseUrl)}</URLBase>
+  <specVersion>
+    <major>1</major>
+    <minor>0</minor>
+  </specVersion>
+  <device>
+    <deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>
+    <friendlyName>${escapeXml(this.config.friendlyName)}</friendlyName>
+    <manufacturer>Silicondust</manufacturer>
+    <modelName>HDTC-2US</modelName>
+    <modelNumber>HDTC-2US</modelNumber>
+    <serialNumber>${escapeXml(this.config.deviceId)}</serialNumber>
+    <UDN>uuid:${escapeXml(this.config.deviceId)}</UDN>
+  </device>
+</root>
+`;
+  }
+}
+
+module.exports = HdHomeRunService;
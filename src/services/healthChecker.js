@@ -0,0 +1,256 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const MESSAGES = require('../messages');
+const { resolveDataDir } = require('../utils/dataDir');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const MAX_PROBE_BYTES = 256 * 1024; // Playlists are small - never download more than this
+const HISTORY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Forget channels not seen for a week
+
+class HealthChecker {
+  constructor(config = {}, logger, storageConfig = {}) {
+    this.config = {
+      enabled: config.enabled !== false,
+      concurrency: config.concurrency || 5,
+      timeout: config.timeout || 5000,
+      historySize: config.historySize || 10,
+      minSamples: config.minSamples || 3,
+      minSuccessRate: config.minSuccessRate ?? 0.5,
+      flakyAction: config.flakyAction || 'flag',
+      ...config
+    };
+    this.logger = logger;
+    this.historyPath = path.join(resolveDataDir(storageConfig), 'health-history.json');
+    this.history = null; // channel id -> { results: [bool], lastChecked }
+    this.lastRun = null;
+    this.httpClient = axios.create({
+      timeout: this.config.timeout,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; StremioPlaylist/1.0)'
+      },
+      maxRedirects: 5,
+      responseType: 'stream',
+      validateStatus: function (status) {
+        return status >= 200 && status < 300;
+      }
+    });
+  }
+
+  // Probes live TV streams and updates stream.availability in place
+  async check(content) {
+    if (!this.config.enabled) {
+      this.logger.debug(MESSAGES.HEALTH_CHECK.DISABLED);
+      return content;
+    }
+
+    const channels = content.filter(item => item.type === 'tv' && Array.isArray(item.streams) && item.streams.length > 0);
+    if (channels.length === 0) {
+      return content;
+    }
+
+    await this.loadHistory();
+
+    const startTime = Date.now();
+    const streams = channels.flatMap(item => item.streams.filter(stream => stream.url));
+    this.logger.info(MESSAGES.HEALTH_CHECK.STARTED(streams.length, this.config.concurrency));
+
+    await mapWithConcurrency(streams, this.config.concurrency, async (stream) => {
+      const result = await this.probeStream(stream.url);
+      stream.availability = result.ok;
+      stream.health = {
+        ok: result.ok,
+        reason: result.reason,
+        checkedAt: new Date().toISOString()
+      };
+      if (!result.ok) {
+        this.logger.debug(MESSAGES.HEALTH_CHECK.STREAM_FAILED(stream.url, result.reason));
+      }
+    });
+
+    let healthy = 0;
+    let flagged = 0;
+    let dropped = 0;
+
+    for (const item of channels) {
+      const ok = item.streams.some(stream => stream.availability);
+      if (ok) healthy++;
+
+      const successRate = this.recordResult(item.id, ok);
+      const samples = this.history.get(item.id).results.length;
+      const flaky = samples >= this.config.minSamples && successRate < this.config.minSuccessRate;
+
+      item.health = { ok, successRate, samples, flaky };
+
+      if (flaky) {
+        if (this.config.flakyAction === 'drop') {
+          // Marking every stream unavailable lets validateContent drop the channel
+          item.streams.forEach(stream => { stream.availability = false; });
+          dropped++;
+          this.logger.child({ channel: item.id }).info(MESSAGES.HEALTH_CHECK.CHANNEL_DROPPED(item.title, successRate));
+        } else {
+          flagged++;
+          this.logger.child({ channel: item.id }).warn(MESSAGES.HEALTH_CHECK.CHANNEL_FLAKY(item.title, successRate));
+        }
+      }
+    }
+
+    await this.saveHistory();
+
+    this.lastRun = {
+      completedAt: new Date().toISOString(),
+      duration: Date.now() - startTime,
+      channelsChecked: channels.length,
+      streamsChecked: streams.length,
+      healthyChannels: healthy,
+      failedChannels: channels.length - healthy,
+      flaggedChannels: flagged,
+      droppedChannels: dropped
+    };
+
+    this.logger.info(MESSAGES.HEALTH_CHECK.COMPLETED(healthy, channels.length, flagged, dropped, this.lastRun.duration));
+    return content;
+  }
+
+  async probeStream(url) {
+    // Overall deadline also covers reading the body, which the axios timeout doesn't
+    const abortController = new AbortController();
+    const timer = setTimeout(() => abortController.abort(), this.config.timeout);
+
+    try {
+      const response = await this.httpClient.get(url, { signal: abortController.signal });
+      const contentType = (response.headers['content-type'] || '').toLowerCase();
+      const body = await this.readHead(response.data);
+
+      if (body.replace(/^\uFEFF/, '').trimStart().startsWith('#EXTM3U')) {
+        return this.parsePlaylist(body);
+      }
+
+      if (contentType.includes('mpegurl')) {
+        return { ok: false, reason: 'invalid playlist' };
+      }
+
+      // Non-HLS live streams (e.g. MPEG-TS) - a successful response with media is good enough
+      if (contentType.startsWith('video/') || contentType.startsWith('audio/') || contentType.includes('octet-stream')) {
+        return { ok: true, reason: null };
+      }
+
+      return { ok: false, reason: `unexpected content type ${contentType || 'unknown'}` };
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        return { ok: false, reason: 'timeout' };
+      }
+      return { ok: false, reason: error.response ? `HTTP ${error.response.status}` : (error.code || error.message) };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  readHead(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      const finish = () => {
+        stream.destroy();
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      };
+
+      stream.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+
+        // Live media streams never end, so stop as soon as it's clear this isn't a playlist
+        const head = Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+        if (size >= MAX_PROBE_BYTES || (head.length >= 7 && !head.startsWith('#EXTM3U'))) finish();
+      });
+      stream.on('end', finish);
+      stream.on('error', reject);
+    });
+  }
+
+  parsePlaylist(body) {
+    const lines = body.split(/\r?\n/).map(line => line.trim());
+
+    // Master playlist: needs at least one variant URI after an EXT-X-STREAM-INF tag
+    const variantCount = lines.filter((line, index) =>
+      line.startsWith('#EXT-X-STREAM-INF') && lines[index + 1] && !lines[index + 1].startsWith('#')
+    ).length;
+    if (variantCount > 0) {
+      return { ok: true, reason: null };
+    }
+
+    // Media playlist: needs at least one segment
+    const segmentCount = lines.filter((line, index) =>
+      line.startsWith('#EXTINF') && lines[index + 1] && !lines[index + 1].startsWith('#')
+    ).length;
+    if (segmentCount > 0) {
+      return { ok: true, reason: null };
+    }
+
+    return { ok: false, reason: 'playlist has no segments or variants' };
+  }
+
+  recordResult(channelId, ok) {
+    const entry = this.history.get(channelId) || { results: [], lastChecked: null };
+    entry.results.push(ok);
+    entry.results = entry.results.slice(-this.config.historySize);
+    entry.lastChecked = new Date().toISOString();
+    this.history.set(channelId, entry);
+
+    return entry.results.filter(Boolean).length / entry.results.length;
+  }
+
+  async loadHistory() {
+    if (this.history) return;
+
+    this.history = new Map();
+    try {
+      if (await fs.pathExists(this.historyPath)) {
+        const data = await fs.readJson(this.historyPath);
+        for (const [channelId, entry] of Object.entries(data)) {
+          this.history.set(channelId, entry);
+        }
+      }
+    } catch (error) {
+      this.logger.warn(MESSAGES.HEALTH_CHECK.HISTORY_LOAD_FAILED(error.message));
+    }
+  }
+
+  async saveHistory() {
+    const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+    for (const [channelId, entry] of this.history) {
+      if (new Date(entry.lastChecked).getTime() < cutoff) {
+        this.history.delete(channelId);
+      }
+    }
+
+    try {
+      await fs.ensureDir(path.dirname(this.historyPath));
+      await fs.writeJson(this.historyPath, Object.fromEntries(this.history), { spaces: 2 });
+    } catch (error) {
+      this.logger.warn(MESSAGES.HEALTH_CHECK.HISTORY_SAVE_FAILED(error.message));
+    }
+  }
+
+  getStatus() {
+    const flakyChannels = [];
+    if (this.history) {
+      for (const [channelId, entry] of this.history) {
+        const successRate = entry.results.filter(Boolean).length / entry.results.length;
+        if (entry.results.length >= this.config.minSamples && successRate < this.config.minSuccessRate) {
+          flakyChannels.push({ id: channelId, successRate: Math.round(successRate * 100) / 100 });
+        }
+      }
+    }
+
+    return {
+      enabled: this.config.enabled,
+      flakyAction: this.config.flakyAction,
+      lastRun: this.lastRun,
+      flakyChannels
+    };
+  }
+}
+
+module.exports = HealthChecker;
@@ -0,0 +1,154 @@
+const fs = require('fs-extra');
+const MESSAGES = require('../messages');
+
+// Applies the user-editable lineup file (include/exclude rules and per-channel overrides)
+// to fetched content before the playlist is rendered
+class LineupMapper {
+  constructor(config = {}, logger) {
+    this.config = {
+      path: config.path || './lineup.json',
+      ...config
+    };
+    this.logger = logger;
+  }
+
+  async loadLineup() {
+    if (!await fs.pathExists(this.config.path)) {
+      this.logger.debug(MESSAGES.LINEUP.NOT_FOUND(this.config.path));
+      return null;
+    }
+
+    // Read on every refresh so edits apply without a restart
+    const lineup = await fs.readJson(this.config.path);
+    return {
+      include: this.compileRules(lineup.include, 'include'),
+      exclude: this.compileRules(lineup.exclude, 'exclude'),
+      overrides: this.compileRules(lineup.overrides, 'overrides')
+    };
+  }
+
+  compileRules(rules, section) {
+    if (!Array.isArray(rules)) return [];
+
+    const compiled = [];
+    for (const rule of rules) {
+      if (!rule || (rule.id === undefined && rule.name === undefined && rule.regex === undefined)) {
+        this.logger.warn(MESSAGES.LINEUP.INVALID_RULE(section, JSON.stringify(rule)));
+        continue;
+      }
+
+      let regex = null;
+      if (rule.regex !== undefined) {
+        try {
+          regex = new RegExp(rule.regex, 'i');
+        } catch (error) {
+          this.logger.warn(MESSAGES.LINEUP.INVALID_REGEX(section, rule.regex, error.message));
+          continue;
+        }
+      }
+
+      compiled.push({ rule, regex, matchCount: 0 });
+    }
+
+    return compiled;
+  }
+
+  matches(compiled, item) {
+    const { rule, regex } = compiled;
+
+    if (rule.id !== undefined && rule.id !== item.id) return false;
+    if (rule.name !== undefined && String(rule.name).toLowerCase() !== item.title.toLowerCase()) return false;
+    if (regex && !regex.test(item.title)) return false;
+
+    return true;
+  }
+
+  findMatch(rules, item) {
+    const match = rules.find(compiled => this.matches(compiled, item));
+    if (match) match.matchCount++;
+    return match || null;
+  }
+
+  async apply(content) {
+    let lineup;
+    try {
+      lineup = await this.loadLineup();
+    } catch (error) {
+      // A broken lineup file shouldn't take the whole playlist down
+      this.logger.warn(MESSAGES.LINEUP.LOAD_FAILED(this.config.path, error.message));
+      return content;
+    }
+
+    if (!lineup) {
+      return content;
+    }
+
+    const mapped = [];
+    for (const item of content) {
+      // With include rules only matching channels are kept; exclude always wins
+      if (lineup.include.length > 0 && !this.findMatch(lineup.include, item)) continue;
+      if (this.findMatch(lineup.exclude, item)) continue;
+
+      const override = this.findMatch(lineup.overrides, item);
+      mapped.push(override ? this.applyOverride(item, override.rule) : item);
+    }
+
+    // Channels with a fixed number come first, in number order; the rest keep their fetched order
+    const numbered = mapped.filter(item => item.channelNumber).sort((a, b) => a.channelNumber - b.channelNumber);
+    const unnumbered = mapped.filter(item => !item.channelNumber);
+    const result = [...numbered, ...unnumbered];
+
+    this.reportUnmatched(lineup);
+    this.logger.info(MESSAGES.LINEUP.APPLIED(content.length, result.length));
+
+    return result;
+  }
+
+  applyOverride(item, rule) {
+    const updated = { ...item };
+
+    if (rule.displayName) {
+      updated.displayName = rule.displayName;
+    }
+
+    if (rule.number !== undefined) {
+      const number = parseInt(rule.number, 10);
+      if (number > 0) {
+        updated.channelNumber = number;
+      } else {
+        this.logger.warn(MESSAGES.LINEUP.INVALID_NUMBER(item.title, rule.number));
+      }
+    }
+
+    if (rule.group) {
+      updated.groupTitle = rule.group;
+    }
+
+    if (rule.logo) {
+      updated.poster = rule.logo;
+      updated.logoOverride = rule.logo;
+    }
+
+    return updated;
+  }
+
+  reportUnmatched(lineup) {
+    for (const section of ['include', 'exclude', 'overrides']) {
+      for (const compiled of lineup[section]) {
+        if (compiled.matchCount === 0) {
+          this.logger.warn(MESSAGES.LINEUP.UNMATCHED_RULE(section, this.describeRule(compiled.rule)));
+        }
+      }
+    }
+  }
+
+  describeRule(rule) {
+    const parts = [];
+    if (rule.id !== undefined) parts.push(`id="${rule.id}"`);
+    if (rule.name !== undefined) parts.push(`name="${rule.name}"`);
+    if (rule.regex !== undefined) parts.push(`regex=/${rule.regex}/`);
+    return parts.join(' ');
+  }
+}
+
+module.exports = LineupMapper;
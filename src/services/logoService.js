@@ -10,6 +10,7 @@ class LogoService {
   constructor(logger, config = null) {
     this.logger = logger;
     this.logoCache = new Map();
+    this.cacheStats = { hits: 0, misses: 0 }; // Lookups answered from the memory or disk cache vs. resolved again
     this.config = config;
     
     // Check if Wikimedia logo fetching is enabled
@@ -64,6 +65,7 @@ class LogoService {
     
     // Check in-memory cache first
     if (this.logoCache.has(cacheKey)) {
+      this.cacheStats.hits++;
       this.logger.debug(MESSAGES.LOGO_SERVICE.CACHE_HIT(channelName));
       return this.logoCache.get(cacheKey);
     }
@@ -71,11 +73,13 @@ class LogoService {
     // Check persistent cache
     const cachedLogo = await this.getCachedLogo(cacheKey);
     if (cachedLogo) {
+      this.cacheStats.hits++;
       this.logger.debug(`Found cached logo for ${channelName}`);
       this.logoCache.set(cacheKey, cachedLogo);
       return cachedLogo;
     }
 
+    this.cacheStats.misses++;
     this.logger.debug(MESSAGES.LOGO_SERVICE.CACHE_MISS(channelName));
 
     try {
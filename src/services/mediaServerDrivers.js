@@ -0,0 +1,110 @@
+const axios = require('axios');
+const MESSAGES = require('../messages');
+
+// Clients for the Live TV parts of the Emby and Jellyfin HTTP APIs. Jellyfin is a fork of Emby, so the
+// endpoints are the same; only the path prefix and the way the API key is sent differ
+
+// Key of the built-in "Refresh Guide" scheduled task, which also rescans the channels of every tuner
+const REFRESH_GUIDE_TASK = 'RefreshGuide';
+
+class EmbyDriver {
+  constructor({ url, apiKey, timeout = 10000 }) {
+    this.client = axios.create({
+      baseURL: url.replace(/\/$/, '') + this.getPathPrefix(),
+      timeout,
+      headers: {
+        ...this.getAuthHeaders(apiKey),
+        'Accept': 'application/json'
+      }
+    });
+  }
+
+  getPathPrefix() {
+    return '/emby';
+  }
+
+  getAuthHeaders(apiKey) {
+    return { 'X-Emby-Token': apiKey };
+  }
+
+  // Starts the Refresh Guide task; the server runs it in the background
+  async refreshGuide() {
+    const { data: tasks } = await this.client.get('/ScheduledTasks');
+    const task = (tasks || []).find(candidate => candidate.Key === REFRESH_GUIDE_TASK);
+    if (!task) {
+      throw new Error(MESSAGES.MEDIA_SERVERS.TASK_NOT_FOUND(REFRESH_GUIDE_TASK));
+    }
+
+    await this.client.post(`/ScheduledTasks/Running/${task.Id}`);
+    return { task: task.Name };
+  }
+
+  async getTunerHosts() {
+    const { data } = await this.client.get('/System/Configuration/livetv');
+    return data?.TunerHosts || [];
+  }
+
+  async findTuner(playlistUrl) {
+    const tuners = await this.getTunerHosts();
+    return tuners.find(tuner => tuner.Type === 'm3u' && tuner.Url === playlistUrl) || null;
+  }
+
+  // Adds playlistUrl as an M3U tuner unless a tuner with that URL already exists
+  async registerTuner(playlistUrl, friendlyName) {
+    const existing = await this.findTuner(playlistUrl);
+    if (existing) {
+      return { id: existing.Id, created: false };
+    }
+
+    const { data } = await this.client.post('/LiveTv/TunerHosts', {
+      Type: 'm3u',
+      Url: playlistUrl,
+      FriendlyName: friendlyName,
+      ImportFavoritesOnly: false,
+      AllowHWTranscoding: false,
+      EnableStreamLooping: false
+    });
+    return { id: data?.Id || null, created: true };
+  }
+
+  // Saving an existing tuner makes the server reload its channel list straight away
+  async refreshTuner(playlistUrl) {
+    const tuner = await this.findTuner(playlistUrl);
+    if (!tuner) {
+      throw new Error(MESSAGES.MEDIA_SERVERS.TUNER_NOT_REGISTERED(playlistUrl));
+    }
+
+    await this.client.post('/LiveTv/TunerHosts', tuner);
+    return { tuner: tuner.Id };
+  }
+}
+
+class JellyfinDriver extends EmbyDriver {
+  getPathPrefix() {
+    return '';
+  }
+
+  // Newer Jellyfin releases reject the legacy X-Emby-Token header by default
+  getAuthHeaders(apiKey) {
+    return { 'Authorization': `MediaBrowser Token="${apiKey}"` };
+  }
+}
+
+const DRIVERS = {
+  emby: EmbyDriver,
+  jellyfin: JellyfinDriver
+};
+
+function createDriver(type, options) {
+  const Driver = DRIVERS[type];
+  if (!Driver) {
+    throw new Error(MESSAGES.MEDIA_SERVERS.UNKNOWN_TYPE(type));
+  }
+  return new Driver(options);
+}
+
+module.exports = {
+  EmbyDriver,
+  JellyfinDriver,
+  createDriver
+};
@@ -0,0 +1,101 @@
+const MESSAGES = require('../messages');
+const { createDriver } = require('./mediaServerDrivers');
+const { redactString } = require('../utils/redact');
+
+// Tells Emby and Jellyfin servers to pick up a newly published playlist, instead of waiting for their own
+// scheduled guide refresh, and can register the playlist with them as an M3U tuner
+class MediaServerNotifier {
+  constructor(config = {}, logger, playlistUrl) {
+    this.config = {
+      timeout: 10000,
+      notifiers: [],
+      ...config
+    };
+    this.logger = logger;
+
+    this.notifiers = this.config.notifiers
+      .filter(notifier => notifier.enabled !== false)
+      .map(notifier => ({
+        name: notifier.name || `${notifier.type} (${new URL(notifier.url).host})`,
+        type: notifier.type,
+        url: notifier.url,
+        notifyOn: notifier.notifyOn || 'changes',
+        action: notifier.action || 'refreshGuide',
+        registerTuner: notifier.registerTuner || false,
+        playlistUrl: notifier.playlistUrl || playlistUrl,
+        driver: createDriver(notifier.type, { url: notifier.url, apiKey: notifier.apiKey, timeout: this.config.timeout }),
+        successes: 0,
+        failures: 0,
+        lastResult: null,
+        tuner: null
+      }));
+  }
+
+  // changes is the channel diff summary of the refresh, or null when it isn't known (e.g. a restored backup)
+  hasChanges(changes) {
+    return !changes || Object.values(changes).some(count => count > 0);
+  }
+
+  describeError(error) {
+    const status = error.response?.status;
+    if (status === 401 || status === 403) {
+      return MESSAGES.MEDIA_SERVERS.UNAUTHORIZED(status);
+    }
+    return redactString(status ? `HTTP ${status}` : (error.code || error.message));
+  }
+
+  // Never rejects; each notifier's outcome is logged and kept for getStatus(). published is false when the
+  // refresh left the playlist file as it was, which 'publish' notifiers skip
+  async notify(changes, published = true) {
+    const notifiers = this.notifiers.filter(notifier => (notifier.notifyOn === 'publish' ? published : this.hasChanges(changes)));
+    await Promise.all(notifiers.map(notifier => this.runAction(notifier)));
+  }
+
+  async runAction(notifier) {
+    const startedAt = Date.now();
+
+    try {
+      const detail = notifier.action === 'refreshTuner'
+        ? await notifier.driver.refreshTuner(notifier.playlistUrl)
+        : await notifier.driver.refreshGuide();
+
+      notifier.successes++;
+      notifier.lastResult = { ok: true, action: notifier.action, at: new Date().toISOString(), durationMs: Date.now() - startedAt, detail, error: null };
+      this.logger.info(MESSAGES.MEDIA_SERVERS.NOTIFIED(notifier.name, notifier.action));
+    } catch (error) {
+      const reason = this.describeError(error);
+      notifier.failures++;
+      notifier.lastResult = { ok: false, action: notifier.action, at: new Date().toISOString(), durationMs: Date.now() - startedAt, detail: null, error: reason };
+      this.logger.warn(MESSAGES.MEDIA_SERVERS.NOTIFY_FAILED(notifier.name, notifier.action, reason));
+    }
+
+    return notifier.lastResult;
+  }
+
+  // Adds the playlist as an M3U tuner on every notifier with registerTuner set; servers that already have it are left alone
+  async registerTuners(friendlyName) {
+    await Promise.all(this.notifiers.filter(notifier => notifier.registerTuner).map(async (notifier) => {
+      try {
+        const { id, created } = await notifier.driver.registerTuner(notifier.playlistUrl, friendlyName);
+        notifier.tuner = { registered: true, id, at: new Date().toISOString(), error: null };
+        this.logger.info(created
+          ? MESSAGES.MEDIA_SERVERS.TUNER_REGISTERED(notifier.name, notifier.playlistUrl)
+          : MESSAGES.MEDIA_SERVERS.TUNER_EXISTS(notifier.name));
+      } catch (error) {
+        const reason = this.describeError(error);
+        notifier.tuner = { registered: false, id: null, at: new Date().toISOString(), error: reason };
+        this.logger.warn(MESSAGES.MEDIA_SERVERS.TUNER_REGISTER_FAILED(notifier.name, reason));
+      }
+    }));
+  }
+
+  find(name) {
+    return this.notifiers.find(notifier => notifier.name === name) || null;
+  }
+
+  getStatus() {
+    return this.notifiers.map(({ driver, ...notifier }) => notifier);
+  }
+}
+
+module.exports = MediaServerNotifier;
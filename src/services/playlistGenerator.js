@@ -1,51 +1,98 @@
 const fs = require('fs-extra');
-const path = require('path');
+const crypto = require('crypto');
 const MESSAGES = require('../messages');
+const { writeFileAtomic } = require('../utils/atomicWrite');
 
 class PlaylistGenerator {
-  constructor(config, logger) {
+  constructor(config, logger, backupManager = null) {
     this.config = config;
     this.logger = logger;
+    this.backupManager = backupManager;
+    this.published = null; // { hash, lastModified, mtimeMs, size } of the playlist file on disk
   }
 
-  async generate(content) {
+  // fetched ({ count, previousCount }) is what the addons returned this refresh and for the published playlist;
+  // without it only an empty playlist counts as degraded
+  // Resolves to { content, written }, where written is false when the playlist was unchanged and left alone
+  async generate(content, fetched = null) {
     try {
       this.logger.info(MESSAGES.PLAYLIST_GENERATOR.GENERATION_STARTED);
       
-      // Create backup of existing playlist if it exists
-      await this.createBackup();
-      
       // Validate and filter content
       const validContent = await this.validateContent(content);
       
       // Generate M3U playlist content
       const playlistContent = this.generateM3UContent(validContent);
       
+      // Never replace the published playlist with an empty or much smaller one
+      const candidateCount = content.filter(item => this.isValidContentItem(item))
+        .reduce((total, item) => total + item.streams.filter(stream => stream.url).length, 0);
+      await this.checkRefreshQuality(playlistContent, fetched, candidateCount);
+      
+      // Nothing to back up or rewrite when the playlist hasn't changed
+      const hash = this.hashContent(playlistContent);
+      const published = await this.getPublishedInfo();
+      if (published && published.hash === hash) {
+        this.logger.info(MESSAGES.PLAYLIST_GENERATOR.UNCHANGED(validContent.length));
+        return { content: validContent, written: false };
+      }
+      
+      // Create backup of existing playlist if it exists
+      await this.createBackup();
+      
       // Write playlist to file
       await this.writePlaylistFile(playlistContent);
       
       this.logger.info(MESSAGES.PLAYLIST_GENERATOR.GENERATION_COMPLETED(validContent.length, this.config.outputPath));
       
+      return { content: validContent, written: true };
+      
     } catch (error) {
-      this.logger.error(MESSAGES.PLAYLIST_GENERATOR.GENERATION_FAILED, error);
+      if (error.code !== 'DEGRADED_REFRESH') {
+        this.logger.error(MESSAGES.PLAYLIST_GENERATOR.GENERATION_FAILED, error);
+      }
+      throw error;
+    }
+  }
+
+  // Two kinds of drop make a refresh degraded: the addons returning far fewer channels than they did for the
+  // published playlist, and most streams failing the health check (e.g. the debrid provider is down while the
+  // catalogs still answer) so the playlist would shrink just as far. A smaller lineup alone is neither.
+  // The error's comparedCount and baselineCount are the two numbers its message compares
+  async checkRefreshQuality(playlistContent, fetched = null, candidateCount = null) {
+    const channelCount = (playlistContent.match(/^#EXTINF:/gm) || []).length;
+    const { entryCount: publishedCount } = await this.getPlaylistStats();
+    const minChannelPercent = this.config.minChannelPercent ?? 50;
+    const belowMinimum = (count, baseline) => baseline > 0 && count < baseline * minChannelPercent / 100;
+    
+    let reason = null;
+    let compared = [null, null];
+    if (channelCount === 0) {
+      reason = MESSAGES.PLAYLIST_GENERATOR.DEGRADED_EMPTY;
+    } else if (fetched && belowMinimum(fetched.count, fetched.previousCount)) {
+      reason = MESSAGES.PLAYLIST_GENERATOR.DEGRADED_DROP(fetched.count, fetched.previousCount, minChannelPercent);
+      compared = [fetched.count, fetched.previousCount];
+    } else if (belowMinimum(channelCount, candidateCount) && belowMinimum(channelCount, publishedCount)) {
+      reason = MESSAGES.PLAYLIST_GENERATOR.DEGRADED_UNAVAILABLE(channelCount, candidateCount, publishedCount, minChannelPercent);
+      compared = [channelCount, publishedCount];
+    }
+    
+    if (reason) {
+      const error = new Error(reason);
+      error.code = 'DEGRADED_REFRESH';
+      error.channelCount = channelCount;
+      [error.comparedCount, error.baselineCount] = compared;
       throw error;
     }
   }
 
   async createBackup() {
+    if (!this.backupManager) {
+      return;
+    }
+    
     try {
-      if (await fs.pathExists(this.config.outputPath)) {
-        // Ensure backups directory exists
-        const backupsDir = 'backups';
-        await fs.ensureDir(backupsDir);
-        
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = path.basename(this.config.outputPath);
-        const backupPath = path.join(backupsDir, `${filename}.backup.${timestamp}`);
-        
-        await fs.copy(this.config.outputPath, backupPath);
-        this.logger.info(MESSAGES.PLAYLIST_GENERATOR.BACKUP_CREATED(backupPath));
-      }
+      await this.backupManager.create();
     } catch (error) {
       this.logger.warn(MESSAGES.PLAYLIST_GENERATOR.BACKUP_FAILED, error.message);
       // Don't throw - backup failure shouldn't stop playlist generation
@@ -85,11 +132,21 @@ class PlaylistGenerator {
     );
   }
 
-  generateM3UContent(content) {
-    let m3uContent = '#EXTM3U\n';
-    m3uContent += `#PLAYLIST:${this.config.name}\n\n`;
+  buildChannelEntries(content) {
+    const entries = [];
+    const usedIds = new Set();
     
-    let channelNumber = 1;
+    // Numbers fixed by the lineup file are reserved; everything else gets the next free number
+    const reservedNumbers = new Set(content.filter(item => item.channelNumber).map(item => item.channelNumber));
+    const usedNumbers = new Set();
+    let nextNumber = 1;
+    const takeNextNumber = () => {
+      while (reservedNumbers.has(nextNumber) || usedNumbers.has(nextNumber)) {
+        nextNumber++;
+      }
+      usedNumbers.add(nextNumber);
+      return nextNumber;
+    };
     
     for (const item of content) {
       // Filter streams and log the filtering
@@ -100,85 +157,172 @@ class PlaylistGenerator {
         this.logger.debug(MESSAGES.PLAYLIST_GENERATOR.STREAM_FILTERED(originalStreamCount, availableStreams.length));
       }
       
-      // Add each available stream as a separate entry
+      // Each available stream becomes a separate channel
       for (let streamIndex = 0; streamIndex < availableStreams.length; streamIndex++) {
         const stream = availableStreams[streamIndex];
-        const duration = item.duration ? Math.floor(item.duration * 60) : -1; // Convert minutes to seconds
-        const title = this.formatTitle(item, stream);
-        const groupTitle = this.getGroupTitle(item);
-        
-        // Generate unique channel ID for EPG matching (include stream index for uniqueness)
-        const channelId = this.generateChannelId(item, stream, streamIndex);
         
-        // Build EXTINF line with Emby-compatible attributes
-        let extinfLine = `#EXTINF:${duration}`;
-        
-        // Add tvg-id for EPG matching
-        extinfLine += ` tvg-id="${channelId}"`;
-        
-        // Add tvg-name for channel identification
-        extinfLine += ` tvg-name="${this.sanitizeAttribute(title)}"`;
-        
-        // Add tvg-logo for thumbnails (Emby's preferred method)
-        if (item.poster) {
-          extinfLine += ` tvg-logo="${item.poster}"`;
-        }
-        
-        // Add group-title for channel grouping
-        if (groupTitle) {
-          extinfLine += ` group-title="${this.sanitizeAttribute(groupTitle)}"`;
-        }
-        
-        // Add channel number
-        extinfLine += ` tvg-chno="${channelNumber}"`;
-        
-        // Add additional attributes for better Emby integration
-        if (item.genre) {
-          extinfLine += ` tvg-genre="${this.sanitizeAttribute(item.genre)}"`;
-        }
-        
-        if (item.language && item.language !== 'en') {
-          extinfLine += ` tvg-language="${item.language}"`;
-        }
-        
-        // Add the title at the end
-        extinfLine += `,${title}\n`;
-        
-        m3uContent += extinfLine;
-        
-        // Add legacy metadata for backward compatibility
-        if (groupTitle) {
-          m3uContent += `#EXTGRP:${groupTitle}\n`;
+        // A fixed number applies to the channel's first stream only
+        let channelNumber;
+        if (streamIndex === 0 && item.channelNumber && !usedNumbers.has(item.channelNumber)) {
+          channelNumber = item.channelNumber;
+          usedNumbers.add(channelNumber);
+        } else {
+          channelNumber = takeNextNumber();
         }
         
-        // Keep EXTIMG for players that still use it
-        if (item.poster) {
-          m3uContent += `#EXTIMG:${item.poster}\n`;
+        // The stream resolver looks channels up by ID, so a repeated ID would play the wrong stream
+        let channelId = this.generateChannelId(item, stream, streamIndex);
+        if (usedIds.has(channelId)) {
+          const duplicateId = channelId;
+          for (let suffix = 2; usedIds.has(channelId); suffix++) {
+            channelId = `${duplicateId}-${suffix}`;
+          }
+          this.logger.warn(MESSAGES.PLAYLIST_GENERATOR.DUPLICATE_CHANNEL_ID(duplicateId, item.title, channelId));
         }
+        usedIds.add(channelId);
         
-        if (item.year) {
-          m3uContent += `#EXTYEAR:${item.year}\n`;
-        }
-        
-        if (item.genre) {
-          m3uContent += `#EXTGENRE:${item.genre}\n`;
-        }
-        
-        if (item.imdbRating) {
-          m3uContent += `#EXTRATING:${item.imdbRating}\n`;
-        }
-        
-        // Stream URL
-        m3uContent += `${stream.url}\n\n`;
-        
-        channelNumber++;
+        entries.push({
+          item,
+          stream,
+          streamIndex,
+          channelId,
+          channelNumber,
+          title: this.formatTitle(item, stream),
+          groupTitle: this.getGroupTitle(item)
+        });
+      }
+    }
+    
+    return entries;
+  }
+
+  generateM3UContent(content, filters = null, streamToken = null) {
+    let m3uContent = '#EXTM3U\n';
+    m3uContent += `#PLAYLIST:${this.config.name}\n\n`;
+    
+    // Filter after numbering so filtered variants keep the same tvg-id and tvg-chno as the full playlist and EPG
+    let entries = this.buildChannelEntries(content);
+    if (filters) {
+      entries = this.filterEntries(entries, filters);
+    }
+    
+    for (const entry of entries) {
+      const { item, channelId, channelNumber, title, groupTitle } = entry;
+      const duration = item.duration ? Math.floor(item.duration * 60) : -1; // Convert minutes to seconds
+      
+      // Build EXTINF line with Emby-compatible attributes
+      let extinfLine = `#EXTINF:${duration}`;
+      
+      // Add tvg-id for EPG matching
+      extinfLine += ` tvg-id="${channelId}"`;
+      
+      // Add tvg-name for channel identification
+      extinfLine += ` tvg-name="${this.sanitizeAttribute(title)}"`;
+      
+      // Add tvg-logo for thumbnails (Emby's preferred method)
+      if (item.poster) {
+        extinfLine += ` tvg-logo="${item.poster}"`;
+      }
+      
+      // Add group-title for channel grouping
+      if (groupTitle) {
+        extinfLine += ` group-title="${this.sanitizeAttribute(groupTitle)}"`;
+      }
+      
+      // Add channel number
+      extinfLine += ` tvg-chno="${channelNumber}"`;
+      
+      // Add additional attributes for better Emby integration
+      if (item.genre) {
+        extinfLine += ` tvg-genre="${this.sanitizeAttribute(item.genre)}"`;
+      }
+      
+      if (item.language && item.language !== 'en') {
+        extinfLine += ` tvg-language="${item.language}"`;
       }
+      
+      // Add the title at the end
+      extinfLine += `,${title}\n`;
+      
+      m3uContent += extinfLine;
+      
+      // Add legacy metadata for backward compatibility
+      if (groupTitle) {
+        m3uContent += `#EXTGRP:${groupTitle}\n`;
+      }
+      
+      // Keep EXTIMG for players that still use it
+      if (item.poster) {
+        m3uContent += `#EXTIMG:${item.poster}\n`;
+      }
+      
+      if (item.year) {
+        m3uContent += `#EXTYEAR:${item.year}\n`;
+      }
+      
+      if (item.genre) {
+        m3uContent += `#EXTGENRE:${item.genre}\n`;
+      }
+      
+      if (item.imdbRating) {
+        m3uContent += `#EXTRATING:${item.imdbRating}\n`;
+      }
+      
+      // Stream URL
+      m3uContent += `${this.getStreamUrl(entry, streamToken)}\n\n`;
     }
     
     return m3uContent;
   }
 
+  filterEntries(entries, filters) {
+    const containsAny = (value, terms) => terms.some(term => (value || '').toLowerCase().includes(term));
+    
+    const filtered = entries.filter(({ item, title, groupTitle }) => {
+      if (filters.group.length > 0 && !containsAny(groupTitle, filters.group)) return false;
+      if (filters.type.length > 0 && !filters.type.includes((item.type || '').toLowerCase())) return false;
+      if (filters.addon.length > 0 && !containsAny(item.addon, filters.addon) && !containsAny(item.profile, filters.addon)) return false;
+      if (filters.q.length > 0 && !containsAny(title, filters.q) && !containsAny(item.title, filters.q)) return false;
+      if (filters.exclude.length > 0 && (containsAny(title, filters.exclude) || containsAny(groupTitle, filters.exclude))) return false;
+      return true;
+    });
+    
+    return filters.limit ? filtered.slice(0, filters.limit) : filtered;
+  }
+
+  getStreamUrl(entry, streamToken = null) {
+    // In redirect mode the playlist points at this server, which resolves a fresh URL at play time
+    if (this.config.streamMode === 'redirect' && this.config.publicUrl) {
+      const url = `${this.getStreamBaseUrl()}${encodeURIComponent(entry.channelId)}`;
+      return streamToken ? `${url}?token=${encodeURIComponent(streamToken)}` : url;
+    }
+    
+    return entry.stream.url;
+  }
+
+  getStreamBaseUrl() {
+    return `${this.config.publicUrl.replace(/\/$/, '')}/stream/`;
+  }
+
+  // The published file is shared by every caller, so each caller's stream token is added to its links when served
+  addStreamToken(m3uContent, streamToken) {
+    if (!streamToken || !this.config.publicUrl) {
+      return m3uContent;
+    }
+
+    const streamBaseUrl = this.getStreamBaseUrl();
+    return m3uContent
+      .split('\n')
+      .map(line => line.startsWith(streamBaseUrl) ? `${line}?token=${encodeURIComponent(streamToken)}` : line)
+      .join('\n');
+  }
+
   formatTitle(item, stream) {
+    // Display names from the lineup file replace the generated title entirely
+    if (item.displayName) {
+      return item.displayName;
+    }
+    
     let title = item.title;
     
     if (item.year) {
@@ -197,6 +341,10 @@ class PlaylistGenerator {
   }
 
   getGroupTitle(item) {
+    if (item.groupTitle) {
+      return item.groupTitle;
+    }
+    
     const parts = [];
     
     if (item.type) {
@@ -214,21 +362,24 @@ class PlaylistGenerator {
     return parts.join(' - ') || 'General';
   }
 
+  // A readable prefix from the title plus a hash of what identifies the stream: its addon (and Debridio profile),
+  // the item's meta id and the stream's title and occurrence. IDs stay the same across refreshes for EPG matching
   generateChannelId(item, stream, streamIndex = 0) {
-    // Create a unique but consistent channel ID for EPG matching
     const baseId = item.title
       .toLowerCase()
       .replace(/[^a-z0-9]/g, '')
       .substring(0, 20);
     
-    const streamId = stream.source
-      ? stream.source.toLowerCase().replace(/[^a-z0-9]/g, '').substring(0, 10)
-      : 'default';
-    
-    // Add stream index to ensure uniqueness when multiple streams exist for the same item
-    const suffix = streamIndex > 0 ? `-${streamIndex + 1}` : '';
+    const identity = [
+      item.addonUrl || item.addon || '',
+      item.profile || '',
+      item.metaId || item.id || item.title,
+      stream.addonTitle ?? stream.title ?? '',
+      stream.titleOccurrence ?? streamIndex
+    ].join('\n');
+    const hash = crypto.createHash('sha256').update(identity).digest('hex').substring(0, 10);
     
-    return `${baseId}-${streamId}${suffix}`;
+    return `${baseId || 'channel'}-${hash}`;
   }
 
   sanitizeAttribute(value) {
@@ -244,12 +395,16 @@ class PlaylistGenerator {
 
   async writePlaylistFile(content) {
     try {
-      // Ensure output directory exists
-      const outputDir = path.dirname(this.config.outputPath);
-      await fs.ensureDir(outputDir);
+      // Media servers may fetch the playlist at any moment, so never expose a half-written file
+      await writeFileAtomic(this.config.outputPath, content);
       
-      // Write playlist file
-      await fs.writeFile(this.config.outputPath, content, 'utf8');
+      const stats = await fs.stat(this.config.outputPath);
+      this.published = {
+        hash: this.hashContent(content),
+        lastModified: stats.mtime,
+        mtimeMs: stats.mtimeMs,
+        size: stats.size
+      };
       
     } catch (error) {
       this.logger.error(MESSAGES.PLAYLIST_GENERATOR.WRITE_ERROR, error);
@@ -257,6 +412,32 @@ class PlaylistGenerator {
     }
   }
 
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Hash and modification time of the published playlist, used for change detection and HTTP caching.
+  // Re-read whenever the file changed outside of writePlaylistFile (e.g. a backup restore or a restart)
+  async getPublishedInfo() {
+    if (!await fs.pathExists(this.config.outputPath)) {
+      this.published = null;
+      return null;
+    }
+    
+    const stats = await fs.stat(this.config.outputPath);
+    if (!this.published || this.published.mtimeMs !== stats.mtimeMs || this.published.size !== stats.size) {
+      const content = await fs.readFile(this.config.outputPath, 'utf8');
+      this.published = {
+        hash: this.hashContent(content),
+        lastModified: stats.mtime,
+        mtimeMs: stats.mtimeMs,
+        size: stats.size
+      };
+    }
+    
+    return this.published;
+  }
+
   async getPlaylistStats() {
     try {
       if (await fs.pathExists(this.config.outputPath)) {
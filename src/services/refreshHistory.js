@@ -0,0 +1,155 @@
+const fs = require('fs-extra');
+const path = require('path');
+const MESSAGES = require('../messages');
+const { resolveDataDir } = require('../utils/dataDir');
+
+// Keeps the last `refreshHistoryRetention` refresh runs (newest last) in <dataDir>/refresh-history.json
+class RefreshHistory {
+  constructor(config = {}, logger) {
+    this.config = {
+      refreshHistoryRetention: config.refreshHistoryRetention || 100,
+      ...config
+    };
+    this.logger = logger;
+    this.historyPath = path.join(resolveDataDir(this.config), 'refresh-history.json');
+    this.runs = null;
+  }
+
+  async load() {
+    if (this.runs) return this.runs;
+
+    this.runs = [];
+    try {
+      if (await fs.pathExists(this.historyPath)) {
+        const data = await fs.readJson(this.historyPath);
+        this.runs = Array.isArray(data) ? data : [];
+      }
+    } catch (error) {
+      this.logger.warn(MESSAGES.REFRESH_HISTORY.LOAD_FAILED(error.message));
+    }
+    return this.runs;
+  }
+
+  // Totals per addon (or Debridio profile) across its categories, slowest first. errors holds the reason each
+  // failed category gave, e.g. an unreachable manifest or every catalog failing
+  summarizeSources(sources) {
+    const bySource = new Map();
+
+    for (const result of sources) {
+      const summary = bySource.get(result.source) || {
+        source: result.source,
+        categories: 0,
+        failedCategories: 0,
+        catalogs: 0,
+        requests: 0,
+        retries: 0,
+        failedRequests: 0,
+        durationMs: 0,
+        itemCount: 0,
+        errors: []
+      };
+
+      summary.categories++;
+      summary.catalogs += result.catalogs.length;
+      summary.requests += result.requests;
+      summary.retries += result.retries;
+      summary.failedRequests += result.failedRequests;
+      summary.durationMs += result.durationMs;
+      summary.itemCount += result.itemCount;
+      if (result.error) {
+        summary.failedCategories++;
+        summary.errors.push(`${result.category}: ${result.error}`);
+      }
+      bySource.set(result.source, summary);
+    }
+
+    return [...bySource.values()].sort((a, b) => b.durationMs - a.durationMs);
+  }
+
+  // run: { trigger, startedAt, outcome, error, stages, channels, changes, sources } - sources are StremioService.sourceResults
+  async record(run) {
+    const runs = await this.load();
+    const finishedAt = new Date();
+    const addons = this.summarizeSources(run.sources);
+
+    const entry = {
+      id: `refresh-${run.startedAt.replace(/[:.]/g, '-')}`,
+      trigger: run.trigger,
+      outcome: run.outcome,
+      error: run.error || null,
+      startedAt: run.startedAt,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - Date.parse(run.startedAt),
+      stages: run.stages,
+      channels: run.channels,
+      changes: run.changes || null,
+      requests: run.sources.reduce((total, result) => total + result.requests, 0),
+      // Addons and Debridio profiles with at least one failed category
+      failedSources: addons.filter(addon => addon.failedCategories > 0).length,
+      addons,
+      sources: run.sources
+    };
+
+    runs.push(entry);
+    runs.splice(0, Math.max(0, runs.length - this.config.refreshHistoryRetention));
+
+    try {
+      await fs.ensureDir(path.dirname(this.historyPath));
+      await fs.writeJson(this.historyPath, runs, { spaces: 2 });
+    } catch (error) {
+      this.logger.warn(MESSAGES.REFRESH_HISTORY.SAVE_FAILED(error.message));
+    }
+
+    return entry;
+  }
+
+  // Newest first, without the per-category details
+  async list({ limit = null, trigger = null, outcome = null } = {}) {
+    const runs = (await this.load())
+      .filter(run => (!trigger || run.trigger === trigger) && (!outcome || run.outcome === outcome))
+      .reverse()
+      .map(({ sources, ...run }) => run);
+
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  async get(id) {
+    return (await this.load()).find(run => run.id === id) || null;
+  }
+
+  // Counts and averages over the kept runs, plus the sources that failed most often, for /status
+  async getSummary() {
+    const runs = await this.load();
+    if (runs.length === 0) {
+      return null;
+    }
+
+    const failures = new Map();
+    for (const run of runs) {
+      for (const addon of run.addons) {
+        if (addon.failedCategories > 0) {
+          failures.set(addon.source, (failures.get(addon.source) || 0) + 1);
+        }
+      }
+    }
+
+    const last = runs[runs.length - 1];
+    const { sources, ...lastRun } = last;
+
+    return {
+      runs: runs.length,
+      outcomes: {
+        success: runs.filter(run => run.outcome === 'success').length,
+        degraded: runs.filter(run => run.outcome === 'degraded').length,
+        failure: runs.filter(run => run.outcome === 'failure').length
+      },
+      averageDurationMs: Math.round(runs.reduce((total, run) => total + run.durationMs, 0) / runs.length),
+      failingSources: [...failures.entries()]
+        .map(([source, failedRuns]) => ({ source, failedRuns }))
+        .sort((a, b) => b.failedRuns - a.failedRuns),
+      lastRun
+    };
+  }
+}
+
+module.exports = RefreshHistory;
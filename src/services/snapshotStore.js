@@ -0,0 +1,111 @@
+const fs = require('fs-extra');
+const path = require('path');
+const MESSAGES = require('../messages');
+const { resolveDataDir } = require('../utils/dataDir');
+const { diffChannels } = require('../utils/channelDiff');
+
+class SnapshotStore {
+  constructor(config = {}, logger) {
+    this.config = {
+      snapshotRetention: config.snapshotRetention || 48,
+      ...config
+    };
+    this.logger = logger;
+    this.snapshotsDir = path.join(resolveDataDir(this.config), 'snapshots');
+  }
+
+  normalizeChannels(content) {
+    return content.map(item => ({
+      id: item.id || item.title,
+      title: item.title,
+      addon: item.addon || null,
+      profile: item.profile || null,
+      streamUrls: (item.streams || []).map(stream => stream.url).filter(Boolean)
+    }));
+  }
+
+  // fetchedCount is how many items the addons returned before the lineup and health check, the baseline
+  // for the next refresh's degraded check
+  async record(content, fetchedCount = null) {
+    await fs.ensureDir(this.snapshotsDir);
+
+    const previous = await this.getLatestSnapshot();
+    const channels = this.normalizeChannels(content);
+    const generatedAt = new Date().toISOString();
+
+    const snapshot = {
+      generatedAt,
+      channelCount: channels.length,
+      fetchedCount,
+      channels,
+      diff: {
+        previousGeneratedAt: previous ? previous.generatedAt : null,
+        ...diffChannels(previous ? previous.channels : [], channels)
+      }
+    };
+
+    const filename = `snapshot-${generatedAt.replace(/[:.]/g, '-')}.json`;
+    await fs.writeJson(path.join(this.snapshotsDir, filename), snapshot, { spaces: 2 });
+    this.logger.debug(MESSAGES.SNAPSHOT.SAVED(filename, channels.length));
+
+    await this.pruneSnapshots();
+    return snapshot;
+  }
+
+  async listSnapshotFiles() {
+    if (!await fs.pathExists(this.snapshotsDir)) {
+      return [];
+    }
+
+    // Timestamped names sort chronologically
+    const files = await fs.readdir(this.snapshotsDir);
+    return files.filter(file => file.startsWith('snapshot-') && file.endsWith('.json')).sort();
+  }
+
+  async getLatestSnapshot() {
+    const files = await this.listSnapshotFiles();
+    if (files.length === 0) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(path.join(this.snapshotsDir, files[files.length - 1]));
+    } catch (error) {
+      this.logger.warn(MESSAGES.SNAPSHOT.READ_FAILED(files[files.length - 1], error.message));
+      return null;
+    }
+  }
+
+  async getLatestFetchedCount() {
+    const snapshot = await this.getLatestSnapshot();
+    return snapshot?.fetchedCount ?? null;
+  }
+
+  async getLatestChanges() {
+    const snapshot = await this.getLatestSnapshot();
+    if (!snapshot) {
+      return null;
+    }
+
+    return {
+      generatedAt: snapshot.generatedAt,
+      channelCount: snapshot.channelCount,
+      ...snapshot.diff
+    };
+  }
+
+  async pruneSnapshots() {
+    const files = await this.listSnapshotFiles();
+    const excess = files.slice(0, Math.max(0, files.length - this.config.snapshotRetention));
+
+    for (const file of excess) {
+      await fs.remove(path.join(this.snapshotsDir, file));
+    }
+
+    if (excess.length > 0) {
+      this.logger.debug(MESSAGES.SNAPSHOT.PRUNED(excess.length));
+    }
+  }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,148 @@
+const dgram = require('dgram');
+const MESSAGES = require('../messages');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const DEVICE_TYPE = 'urn:schemas-upnp-org:device:MediaServer:1';
+const MAX_AGE = 1800; // seconds
+
+class SsdpResponder {
+  constructor(config, logger) {
+    this.config = config; // { deviceId, location }
+    this.logger = logger;
+    this.socket = null;
+    this.notifyTimer = null;
+  }
+
+  start() {
+    if (this.socket) return;
+
+    this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    this.socket.on('message', (message, remote) => {
+      this.handleMessage(message.toString(), remote);
+    });
+
+    // SSDP is optional - failing to bind (e.g. port in use) must not affect the HTTP server
+    this.socket.on('error', (error) => {
+      this.logger.warn(MESSAGES.HDHOMERUN.SSDP_ERROR(error.message));
+      this.stop();
+    });
+
+    this.socket.bind(SSDP_PORT, () => {
+      try {
+        this.socket.addMembership(SSDP_ADDRESS);
+      } catch (error) {
+        this.logger.warn(MESSAGES.HDHOMERUN.SSDP_ERROR(error.message));
+      }
+
+      this.logger.info(MESSAGES.HDHOMERUN.SSDP_STARTED(this.config.location));
+      this.sendNotify('ssdp:alive');
+
+      // Re-announce before the advertised max-age runs out
+      this.notifyTimer = setInterval(() => this.sendNotify('ssdp:alive'), (MAX_AGE / 2) * 1000);
+    });
+  }
+
+  stop() {
+    if (this.notifyTimer) {
+      clearInterval(this.notifyTimer);
+      this.notifyTimer = null;
+    }
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+
+      try {
+        socket.close();
+      } catch (error) {
+        // Socket may already be closed after an error
+      }
+    }
+  }
+
+  handleMessage(message, remote) {
+    if (!message.startsWith('M-SEARCH')) return;
+
+    const headers = this.parseHeaders(message);
+    const searchTarget = headers.st;
+
+    if (searchTarget === 'ssdp:all') {
+      for (const target of this.getNotificationTypes()) {
+        this.sendSearchResponse(target, remote);
+      }
+    } else if (this.getNotificationTypes().includes(searchTarget)) {
+      this.sendSearchResponse(searchTarget, remote);
+    }
+  }
+
+  parseHeaders(message) {
+    const headers = {};
+
+    for (const line of message.split('\r\n').slice(1)) {
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex > 0) {
+        headers[line.slice(0, separatorIndex).trim().toLowerCase()] = line.slice(separatorIndex + 1).trim();
+      }
+    }
+
+    return headers;
+  }
+
+  getNotificationTypes() {
+    return ['upnp:rootdevice', `uuid:${this.config.deviceId}`, DEVICE_TYPE];
+  }
+
+  getUsn(target) {
+    const uuid = `uuid:${this.config.deviceId}`;
+    return target === uuid ? uuid : `${uuid}::${target}`;
+  }
+
+  sendSearchResponse(target, remote) {
+    const response = [
+      'HTTP/1.1 200 OK',
+      `CACHE-CONTROL: max-age=${MAX_AGE}`,
+      'EXT:',
+      `LOCATION: ${this.config.location}`,
+      'SERVER: Node.js UPnP/1.0 HDHomeRun/1.0',
+      `ST: ${target}`,
+      `USN: ${this.getUsn(target)}`,
+      '',
+      ''
+    ].join('\r\n');
+
+    this.send(response, remote.port, remote.address);
+  }
+
+  sendNotify(subType) {
+    for (const target of this.getNotificationTypes()) {
+      const notify = [
+        'NOTIFY * HTTP/1.1',
+        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+        `CACHE-CONTROL: max-age=${MAX_AGE}`,
+        `LOCATION: ${this.config.location}`,
+        'SERVER: Node.js UPnP/1.0 HDHomeRun/1.0',
+        `NT: ${target}`,
+        `NTS: ${subType}`,
+        `USN: ${this.getUsn(target)}`,
+        '',
+        ''
+      ].join('\r\n');
+
+      this.send(notify, SSDP_PORT, SSDP_ADDRESS);
+    }
+  }
+
+  send(text, port, address) {
+    if (!this.socket) return;
+
+    this.socket.send(Buffer.from(text), port, address, (error) => {
+      if (error) {
+        this.logger.debug(MESSAGES.HDHOMERUN.SSDP_SEND_FAILED(address, error.message));
+      }
+    });
+  }
+}
+
+module.exports = SsdpResponder;
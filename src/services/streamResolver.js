@@ -0,0 +1,58 @@
+const MESSAGES = require('../messages');
+
+class StreamResolver {
+  constructor(config = {}, logger, stremioService) {
+    this.config = {
+      streamCacheSeconds: config.streamCacheSeconds !== undefined ? config.streamCacheSeconds : 60,
+      ...config
+    };
+    this.logger = logger;
+    this.stremioService = stremioService;
+    this.channels = new Map(); // channelId -> playlist channel entry
+    this.urlCache = new Map(); // channelId -> { url, expiresAt }
+  }
+
+  updateChannels(entries) {
+    this.channels = new Map(entries.map(entry => [entry.channelId, entry]));
+
+    // Drop cached URLs for channels that are no longer in the playlist
+    for (const channelId of this.urlCache.keys()) {
+      if (!this.channels.has(channelId)) {
+        this.urlCache.delete(channelId);
+      }
+    }
+  }
+
+  async resolve(channelId) {
+    const entry = this.channels.get(channelId);
+    if (!entry) {
+      return null;
+    }
+
+    const cached = this.urlCache.get(channelId);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.logger.debug(MESSAGES.STREAM_RESOLVER.CACHE_HIT(channelId));
+      return cached.url;
+    }
+
+    try {
+      const freshUrl = await this.stremioService.fetchFreshStreamUrl(entry.item, entry.stream);
+      if (freshUrl) {
+        this.urlCache.set(channelId, {
+          url: freshUrl,
+          expiresAt: Date.now() + this.config.streamCacheSeconds * 1000
+        });
+        this.logger.debug(MESSAGES.STREAM_RESOLVER.RESOLVED(channelId));
+        return freshUrl;
+      }
+    } catch (error) {
+      this.logger.child({ channel: channelId }).warn(MESSAGES.STREAM_RESOLVER.RESOLVE_FAILED(channelId, error.message));
+    }
+
+    // Fall back to the URL captured at refresh time rather than failing playback outright
+    this.logger.debug(MESSAGES.STREAM_RESOLVER.FALLBACK(channelId));
+    return entry.stream.url;
+  }
+}
+
+module.exports = StreamResolver;
@@ -1,29 +1,41 @@
-const axios = require('axios');
 const MESSAGES = require('../messages');
 const LogoService = require('./logoService');
+const AddonHttpClient = require('./addonHttpClient');
+const { isDebridioUrl, normalizeProfiles, profileIdKey } = require('../utils/debridioProfiles');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { redactString } = require('../utils/redact');
+
+// Which addon streams each kind of item keeps; fetchFreshStreamUrl() applies the same filter at play time
+const STREAM_FILTERS = {
+  debridio: url => url.includes('.m3u8') || url.includes('debridio.com'),
+  liveTv: url => url.includes('.m3u8'),
+  meta: url => url.includes('.m3u8') || url.includes('http')
+};
+
+// What identifies an addon stream across fetches: its title, and which stream with that title it is
+function streamIdentity(stream, index, streams) {
+  const addonTitle = stream.title || null;
+  return {
+    addonTitle,
+    titleOccurrence: streams.slice(0, index).filter(other => (other.title || null) === addonTitle).length
+  };
+}
 
 class StremioService {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
-    this.logoService = new LogoService(logger, config);
-    this.httpClient = axios.create({
-      timeout: config.stremio?.timeout || 10000,
-      headers: {
-        'User-Agent': config.stremio?.userAgent || 'Stremio/4.4.0',
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      // Don't follow redirects to avoid getting the web shell
-      maxRedirects: 0,
-      validateStatus: function (status) {
-        return status >= 200 && status < 400; // Accept redirects as valid
-      }
-    });
+    this.logoService = new LogoService(logger.child({ service: 'LogoService' }), config);
+    this.manifestCache = new Map(); // manifestUrl -> manifest (or the Error it failed with), reset on every fetch run
+    this.debridioProfileStatus = new Map(); // profile label -> result of its last fetch
+    this.sourceResults = []; // One entry per addon request of the last fetch run, see recordSourceResult()
+    this.httpClient = new AddonHttpClient(config, logger);
   }
 
   async fetchContent(sourcesConfig) {
     const content = [];
+    this.manifestCache.clear();
+    this.sourceResults = [];
     
     try {
       this.logger.info(MESSAGES.STREMIO.FETCH_STARTED);
@@ -42,17 +54,32 @@ class StremioService {
         content.push(...debridioContent);
       }
       
-      // Then fetch from configured addons
+      // Then fetch every configured category from the remaining addons
+      const categories = sourcesConfig.categories || [];
       for (const addonId of sourcesConfig.enabledAddons) {
-        // Skip install URLs - they're handled above
-        if (this.isInstallUrl(addonId)) {
+        // Skip Debridio URLs - they're handled above
+        if (this.isDebridioUrl(addonId)) {
           this.logger.debug(MESSAGES.STREMIO.ADDON_URL_DETECTED(addonId));
           continue;
         }
         
         this.logger.debug(MESSAGES.STREMIO.FETCH_ADDON(addonId));
-        // Skip built-in addons to avoid mock content
-        continue;
+        let addonItemCount = 0;
+        
+        for (const category of categories) {
+          // One failing addon or category must not stop the others
+          try {
+            const addonContent = await this.fetchSource(addonId, category, () =>
+              this.fetchAddonContent(addonId, category, sourcesConfig.filters)
+            );
+            content.push(...addonContent);
+            addonItemCount += addonContent.length;
+          } catch (error) {
+            this.logger.child({ addon: addonId, category }).warn(MESSAGES.STREMIO.FETCH_FAILED(category, addonId), error.message);
+          }
+        }
+        
+        this.logger.info(MESSAGES.STREMIO.FETCH_ADDON_COMPLETED(addonId, addonItemCount));
       }
 
       this.logger.info(MESSAGES.STREMIO.FETCH_COMPLETED(content.length));
@@ -64,11 +91,59 @@ class StremioService {
     }
   }
 
+  // Runs fetch() for one addon category or Debridio profile and records its timing, item count,
+  // HTTP requests and catalogs in sourceResults, whether it succeeds or throws
+  async fetchSource(source, category, fetch) {
+    const stats = { requests: 0, retries: 0, failedRequests: 0, catalogs: [] };
+    const startedAt = Date.now();
+
+    try {
+      const items = await this.httpClient.track(stats, fetch);
+      this.recordSourceResult(source, category, startedAt, items.length, stats);
+      return items;
+    } catch (error) {
+      this.recordSourceResult(source, category, startedAt, 0, stats, error);
+      throw error;
+    }
+  }
+
+  // Addon URLs can carry keys, so sources are recorded redacted
+  recordSourceResult(source, category, startedAt, itemCount, stats, error = null) {
+    this.sourceResults.push({
+      source: redactString(source),
+      category,
+      durationMs: Date.now() - startedAt,
+      itemCount,
+      requests: stats.requests,
+      retries: stats.retries,
+      failedRequests: stats.failedRequests,
+      catalogs: stats.catalogs,
+      error: error ? redactString(error.message) : null
+    });
+  }
+
+  // Adds one catalog request to the source being fetched (see fetchSource); ignored outside a refresh
+  recordCatalogResult(catalog, startedAt, itemCount, error = null) {
+    const stats = this.httpClient.getTrackedStats();
+    if (!stats) return;
+
+    stats.catalogs.push({
+      catalog: `${catalog.type}/${catalog.id}`,
+      durationMs: Date.now() - startedAt,
+      itemCount,
+      error: error ? redactString(error.message) : null
+    });
+  }
+
   isInstallUrl(addonId) {
     return addonId.includes('/manifest.json') &&
            (addonId.includes('debridio.com') || addonId.includes('eyJ'));
   }
 
+  isDebridioUrl(addonId) {
+    return isDebridioUrl(addonId) && addonId.includes('manifest.json');
+  }
+
   async fetchFromLocalStremio() {
     try {
       this.logger.info(MESSAGES.STREMIO.CONNECTION_TEST);
@@ -84,7 +159,8 @@ class StremioService {
       
       for (const endpoint of endpoints) {
         try {
-          const response = await this.httpClient.get(`${this.config.stremio.apiUrl}${endpoint}`);
+          // Endpoints are guesses, so a failure isn't worth retrying
+          const response = await this.httpClient.get(`${this.config.stremio.apiUrl}${endpoint}`, { maxRetries: 0 });
           this.logger.info(MESSAGES.STREMIO.CONNECTION_SUCCESS);
           this.logger.debug(MESSAGES.GENERAL.DEBUG_RESPONSE(response.data));
           
@@ -156,44 +232,79 @@ class StremioService {
   }
 
   async fetchDebridioContent(addon) {
-    // Try sequential fetching approach to avoid timeouts
-    try {
-      this.logger.info(MESSAGES.DEBRIDIO.SEQUENTIAL_FETCH_START);
-      const realChannels = await this.fetchRealDebridioChannels();
-      if (realChannels.length > 0) {
-        this.logger.info(MESSAGES.DEBRIDIO.SEQUENTIAL_FETCH_SUCCESS(realChannels.length));
-        return realChannels;
+    const profiles = this.getDebridioProfiles();
+    if (profiles.length === 0) {
+      this.logger.warn(MESSAGES.DEBRIDIO.NO_ADDON_URL);
+      return [];
+    }
+    
+    const content = [];
+    
+    // Fetch each profile on its own so one failing install doesn't hide the others
+    for (const [index, profile] of profiles.entries()) {
+      try {
+        this.logger.info(MESSAGES.DEBRIDIO.FETCH_START(profile.label));
+        const idKey = profileIdKey(profile.label, index);
+        const realChannels = await this.fetchSource(profile.label, 'tv', () => this.fetchRealDebridioChannels({ ...profile, idKey }));
+        
+        this.debridioProfileStatus.set(profile.label, {
+          label: profile.label,
+          channelCount: realChannels.length,
+          lastFetch: new Date().toISOString(),
+          error: null
+        });
+        
+        if (realChannels.length > 0) {
+          this.logger.info(MESSAGES.DEBRIDIO.FETCH_SUCCESS(realChannels.length, profile.label));
+          content.push(...realChannels);
+        } else {
+          this.logger.warn(MESSAGES.DEBRIDIO.PROFILE_EMPTY(profile.label));
+        }
+      } catch (error) {
+        this.logger.child({ addon: profile.label }).warn(MESSAGES.DEBRIDIO.PROFILE_FAILED(profile.label, error.message));
+        this.debridioProfileStatus.set(profile.label, {
+          label: profile.label,
+          channelCount: 0,
+          lastFetch: new Date().toISOString(),
+          error: error.message
+        });
       }
-    } catch (error) {
-      this.logger.warn('Could not fetch Debridio channels: ' + error.message);
     }
     
-    this.logger.warn('Could not fetch any Debridio channels - no content available');
-    return [];
+    if (content.length === 0) {
+      this.logger.warn('Could not fetch any Debridio channels - no content available');
+    }
+    
+    return content;
+  }
+
+  getDebridioProfiles() {
+    // Profiles resolved by the server from config.json, environment and the desktop app
+    if (Array.isArray(this.config.debridioProfiles) && this.config.debridioProfiles.length > 0) {
+      return this.config.debridioProfiles;
+    }
+    
+    // Otherwise treat every Debridio manifest URL in the addon lists as an unlabelled profile
+    const debridioUrls = [
+      ...(this.config.sources?.enabledAddons || []),
+      ...(this.config.secureAddons || [])
+    ].filter(addon => isDebridioUrl(addon) && addon.includes('manifest.json'));
+    
+    return normalizeProfiles(debridioUrls.map(url => ({ label: null, url })));
   }
 
-  async fetchRealDebridioChannels() {
+  getDebridioProfileStatus() {
+    return this.getDebridioProfiles().map(profile => this.debridioProfileStatus.get(profile.label) || {
+      label: profile.label,
+      channelCount: 0,
+      lastFetch: null,
+      error: null
+    });
+  }
+
+  async fetchRealDebridioChannels(profile) {
     try {
-      // Get the Debridio addon URL from secure config (merged into main config)
-      let debridioUrl = null;
-      
-      // Check sources.enabledAddons first
-      if (this.config.sources && this.config.sources.enabledAddons) {
-        debridioUrl = this.config.sources.enabledAddons.find(addon =>
-          addon.includes('debridio.com') && addon.includes('manifest.json')
-        );
-      }
-      
-      // Check secureAddons if not found in main config
-      if (!debridioUrl && this.config.secureAddons) {
-        debridioUrl = this.config.secureAddons.find(addon =>
-          addon.includes('debridio.com') && addon.includes('manifest.json')
-        );
-      }
-      
-      if (!debridioUrl) {
-        throw new Error(MESSAGES.DEBRIDIO.NO_ADDON_URL);
-      }
+      const debridioUrl = profile.url;
 
       // Try to decode channel information from the URL
       const channelInfo = this.extractChannelInfoFromUrl(debridioUrl);
@@ -203,26 +314,13 @@ class StremioService {
 
       this.logger.debug(MESSAGES.DEBRIDIO.MANIFEST_FETCH(debridioUrl));
       
-      // Create a client with shorter timeout for dynamic fetching
-      const quickClient = axios.create({
-        timeout: 3000, // 3 second timeout
-        headers: this.httpClient.defaults.headers,
-        maxRedirects: 0,
-        validateStatus: function (status) {
-          return status >= 200 && status < 400;
-        }
-      });
-      
-      // Fetch the manifest with timeout
-      const manifestResponse = await quickClient.get(debridioUrl);
+      const manifestResponse = await this.httpClient.get(debridioUrl, { requestType: 'manifest' });
       const manifest = manifestResponse.data;
       
       if (!manifest.catalogs || !Array.isArray(manifest.catalogs)) {
         throw new Error(MESSAGES.DEBRIDIO.NO_CATALOGS);
       }
 
-      // Sequential fetch approach - process catalogs one by one with delays
-      const content = [];
       const baseUrl = debridioUrl.replace('/manifest.json', '');
       
       // Find TV catalogs
@@ -232,51 +330,51 @@ class StremioService {
 
       this.logger.info(MESSAGES.DEBRIDIO.CATALOGS_FOUND(tvCatalogs.length));
 
+      // Collect every channel from the catalogs first, then fetch their streams through the pool
+      const metas = [];
       for (let i = 0; i < tvCatalogs.length; i++) {
         const catalog = tvCatalogs[i];
+        const startedAt = Date.now();
         try {
           const catalogUrl = `${baseUrl}/catalog/${catalog.type}/${catalog.id}.json`;
           this.logger.debug(MESSAGES.DEBRIDIO.CATALOG_FETCH(i + 1, tvCatalogs.length, catalogUrl));
           
-          const catalogResponse = await quickClient.get(catalogUrl);
+          const catalogResponse = await this.httpClient.get(catalogUrl, { requestType: 'catalog' });
           const catalogData = catalogResponse.data;
           
-          if (catalogData.metas && Array.isArray(catalogData.metas)) {
-            // Process channels in batches to avoid overwhelming the API
-            const batchSize = 5;
-            for (let j = 0; j < catalogData.metas.length; j += batchSize) {
-              const batch = catalogData.metas.slice(j, j + batchSize);
-              
-              for (const meta of batch) {
-                try {
-                  const channelContent = await this.processRealDebridioChannelSequential(quickClient, baseUrl, meta);
-                  if (channelContent) {
-                    content.push(channelContent);
-                    this.logger.debug(MESSAGES.DEBRIDIO.CHANNEL_PROCESSED(channelContent.title));
-                  }
-                } catch (error) {
-                  this.logger.debug(MESSAGES.DEBRIDIO.CHANNEL_FAILED(meta.name || meta.id, error.message));
-                }
-              }
-              
-              // Small delay between batches to avoid rate limiting
-              if (j + batchSize < catalogData.metas.length) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-              }
-            }
-          }
-          
-          // Delay between catalogs
-          if (i < tvCatalogs.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 200));
-          }
-          
+          const catalogMetas = Array.isArray(catalogData.metas) ? catalogData.metas : [];
+          metas.push(...catalogMetas);
+          this.recordCatalogResult(catalog, startedAt, catalogMetas.length);
         } catch (error) {
           this.logger.debug(MESSAGES.DEBRIDIO.CATALOG_FETCH_FAILED(catalog.id, error.message));
+          this.recordCatalogResult(catalog, startedAt, 0, error);
         }
       }
 
-      this.logger.info(MESSAGES.DEBRIDIO.SEQUENTIAL_COMPLETED(content.length));
+      const concurrency = this.config.debridio?.concurrency || 8;
+      this.logger.info(MESSAGES.DEBRIDIO.CHANNEL_FETCH_START(metas.length, concurrency, profile.label));
+      
+      // Report progress roughly every 10% so large lineups don't flood the log
+      const progressInterval = Math.max(1, Math.ceil(metas.length / 10));
+      let completed = 0;
+      
+      const results = await mapWithConcurrency(metas, concurrency, async (meta) => {
+        const channelContent = await this.fetchDebridioChannel(baseUrl, meta, profile);
+        
+        completed++;
+        if (completed % progressInterval === 0 || completed === metas.length) {
+          this.logger.info(MESSAGES.DEBRIDIO.CHANNEL_FETCH_PROGRESS(completed, metas.length, profile.label));
+        }
+        
+        if (channelContent) {
+          this.logger.debug(MESSAGES.DEBRIDIO.CHANNEL_PROCESSED(channelContent.title));
+        }
+        return channelContent;
+      });
+
+      // Results keep catalog order regardless of which request finished first
+      const content = results.filter(Boolean);
+      this.logger.info(MESSAGES.DEBRIDIO.CHANNEL_FETCH_COMPLETED(content.length, metas.length));
       return content;
       
     } catch (error) {
@@ -300,74 +398,12 @@ class StremioService {
     return null;
   }
 
-  async processRealDebridioChannelSequential(client, baseUrl, meta) {
+  async fetchDebridioChannel(baseUrl, meta, profile = null) {
     try {
-      // Try to get streams for this channel with shorter timeout
       const streamUrl = `${baseUrl}/stream/tv/${meta.id}.json`;
       this.logger.debug(MESSAGES.DEBRIDIO.STREAMS_FETCH(meta.name || meta.id));
       
-      const streamResponse = await client.get(streamUrl);
-      const streamData = streamResponse.data;
-      
-      if (!streamData.streams || !Array.isArray(streamData.streams)) {
-        return null;
-      }
-
-      // Filter for valid streaming URLs
-      const validStreams = streamData.streams
-        .filter(stream => stream.url && (stream.url.includes('.m3u8') || stream.url.includes('debridio.com')))
-        .map(stream => ({
-          url: stream.url,
-          quality: stream.title || 'Live HD',
-          source: 'Debridio',
-          title: `${meta.name || 'Live'} Stream`,
-          availability: true
-        }));
-
-      if (validStreams.length === 0) {
-        return null;
-      }
-
-      const channelName = meta.name || meta.id;
-      
-      return {
-        id: `debridio_${meta.id}`,
-        title: channelName,
-        type: 'tv',
-        year: new Date().getFullYear(),
-        genre: 'Live TV',
-        language: 'en',
-        addon: 'Debridio - TV',
-        streams: validStreams,
-        poster: meta.poster || this.logoService.generatePlaceholderLogo(channelName),
-        description: `Live ${channelName} channel from Debridio`,
-        imdbRating: '0.0',
-        duration: null
-      };
-      
-    } catch (error) {
-      this.logger.debug(MESSAGES.DEBRIDIO.STREAMS_FAILED(meta.name || meta.id, error.message));
-      return null;
-    }
-  }
-
-  async processRealDebridioChannel(baseUrl, meta) {
-    try {
-      // Try to get streams for this channel
-      const streamUrl = `${baseUrl}/stream/tv/${meta.id}.json`;
-      this.logger.debug(MESSAGES.GENERAL.STREAMS_FETCH_DEBUG(meta.name || meta.id));
-      
-      // Use quick client for stream fetching too
-      const quickClient = axios.create({
-        timeout: 3000, // 3 second timeout for individual streams
-        headers: this.httpClient.defaults.headers,
-        maxRedirects: 0,
-        validateStatus: function (status) {
-          return status >= 200 && status < 400;
-        }
-      });
-      
-      const streamResponse = await quickClient.get(streamUrl);
+      const streamResponse = await this.httpClient.get(streamUrl, { requestType: 'stream' });
       const streamData = streamResponse.data;
       
       if (!streamData.streams || !Array.isArray(streamData.streams)) {
@@ -376,9 +412,10 @@ class StremioService {
 
       // Filter for valid streaming URLs
       const validStreams = streamData.streams
-        .filter(stream => stream.url && (stream.url.includes('.m3u8') || stream.url.includes('debridio.com')))
-        .map(stream => ({
+        .filter(stream => stream.url && STREAM_FILTERS.debridio(stream.url))
+        .map((stream, index, streams) => ({
           url: stream.url,
+          ...streamIdentity(stream, index, streams),
           quality: stream.title || 'Live HD',
           source: 'Debridio',
           title: `${meta.name || 'Live'} Stream`,
@@ -392,27 +429,31 @@ class StremioService {
       const channelName = meta.name || meta.id;
       
       return {
-        id: `debridio_${meta.id}`,
+        id: profile?.idKey ? `debridio_${profile.idKey}_${meta.id}` : `debridio_${meta.id}`,
         title: channelName,
         type: 'tv',
         year: new Date().getFullYear(),
         genre: 'Live TV',
         language: 'en',
         addon: 'Debridio - TV',
+        profile: profile ? profile.label : null,
+        addonUrl: baseUrl,
+        metaId: meta.id,
+        streamFilter: 'debridio',
         streams: validStreams,
         poster: meta.poster || this.logoService.generatePlaceholderLogo(channelName),
         description: `Live ${channelName} channel from Debridio`,
         imdbRating: '0.0',
-        duration: null
+        duration: null,
+        programmes: this.extractProgrammes(meta)
       };
       
     } catch (error) {
-      this.logger.debug(MESSAGES.DEBRIDIO.STREAMS_FAILED(meta.name || meta.id, error.message));
+      this.logger.child({ addon: profile?.label, channel: meta.id }).debug(MESSAGES.DEBRIDIO.STREAMS_FAILED(meta.name || meta.id, error.message));
       return null;
     }
   }
 
-
   async fetchAddonContent(addonId, category, filters) {
     try {
       // Check if this is a URL-based addon
@@ -425,7 +466,7 @@ class StremioService {
       }
       
     } catch (error) {
-      this.logger.error(MESSAGES.STREMIO.ADDON_ERROR(addonId, category), error);
+      this.logger.child({ addon: addonId, category }).error(MESSAGES.STREMIO.ADDON_ERROR(addonId, category), error);
       throw error;
     }
   }
@@ -435,23 +476,38 @@ class StremioService {
   }
 
   async fetchFromAddonUrl(addonUrl, category, filters) {
+    // First, fetch the addon manifest to understand its capabilities
+    const manifestUrl = addonUrl.endsWith('/manifest.json') ? addonUrl : `${addonUrl}/manifest.json`;
+    const manifest = await this.fetchAddonManifest(manifestUrl);
+    
+    // Fetch real content from the addon's catalog
+    return await this.fetchRealAddonContent(addonUrl, manifest, category, filters);
+  }
+
+  async fetchAddonManifest(manifestUrl) {
+    // Manifests (and failures) are cached for one fetch run so each category doesn't refetch them.
+    // A failure is thrown again for every category, so each one is recorded as a failed source
+    if (this.manifestCache.has(manifestUrl)) {
+      const cached = this.manifestCache.get(manifestUrl);
+      if (cached instanceof Error) {
+        throw cached;
+      }
+      return cached;
+    }
+    
     try {
-      // First, fetch the addon manifest to understand its capabilities
-      const manifestUrl = addonUrl.endsWith('/manifest.json') ? addonUrl : `${addonUrl}/manifest.json`;
       this.logger.debug(MESSAGES.STREMIO.ADDON_MANIFEST_FETCH(manifestUrl));
-      
-      const manifestResponse = await this.httpClient.get(manifestUrl);
+      const manifestResponse = await this.httpClient.get(manifestUrl, { requestType: 'manifest' });
       const manifest = manifestResponse.data;
-      
       this.logger.info(MESSAGES.STREMIO.ADDON_MANIFEST_SUCCESS(manifest.name || MESSAGES.STREMIO.UNKNOWN_ADDON));
-      
-      // Fetch real content from the addon's catalog
-      return await this.fetchRealAddonContent(addonUrl, manifest, category, filters);
-      
+      this.manifestCache.set(manifestUrl, manifest);
+      return manifest;
     } catch (error) {
-      this.logger.warn(MESSAGES.STREMIO.ADDON_MANIFEST_FAILED(addonUrl), error.message);
-      // If manifest fetch fails, return empty array
-      return [];
+      this.logger.warn(MESSAGES.STREMIO.ADDON_MANIFEST_FAILED(manifestUrl), error.message);
+      const failure = new Error(MESSAGES.STREMIO.MANIFEST_UNAVAILABLE(error.message));
+      failure.code = 'ADDON_MANIFEST_FAILED';
+      this.manifestCache.set(manifestUrl, failure);
+      throw failure;
     }
   }
 
@@ -460,69 +516,94 @@ class StremioService {
     return [];
   }
 
+  // Throws when every catalog request failed, so the addon is reported as a failed source
   async fetchRealAddonContent(addonUrl, manifest, category, filters) {
-    try {
-      const addonName = manifest.name || MESSAGES.STREMIO.UNKNOWN_ADDON;
-      
-      // Check if this is a live TV addon based on manifest
-      if (this.isLiveTvAddon(manifest)) {
-        this.logger.info(MESSAGES.ADDON.LIVE_TV_DETECTED(addonName));
-        return await this.fetchLiveTvContent(addonUrl, manifest, addonName, filters);
-      }
-      
-      // Standard catalog-based addon
-      this.logger.info(MESSAGES.STREMIO.CATALOG_FETCH(addonName, category));
-      
-      // Get the base URL for the addon
-      const baseUrl = addonUrl.replace('/manifest.json', '');
-      
-      // Try different catalog endpoints
-      const catalogEndpoints = [
-        `${baseUrl}/catalog/${category}/top.json`,
-        `${baseUrl}/catalog/${category}/popular.json`,
-        `${baseUrl}/catalog/${category}/latest.json`
-      ];
-      
-      for (const catalogUrl of catalogEndpoints) {
-        try {
-          const catalogResponse = await this.httpClient.get(catalogUrl);
-          const catalogData = catalogResponse.data;
-          
-          if (!catalogData.metas || !Array.isArray(catalogData.metas)) {
-            continue;
-          }
-          
-          this.logger.info(MESSAGES.STREMIO.CATALOG_SUCCESS(catalogData.metas.length, addonName));
-          
-          // Process each item in the catalog
-          const content = [];
-          for (const meta of catalogData.metas.slice(0, 20)) { // Limit to first 20 items
-            try {
-              const item = await this.processMetaItem(baseUrl, meta, category, addonName);
-              if (item && this.matchesFilters(item, filters)) {
-                content.push(item);
-              }
-            } catch (error) {
-              this.logger.debug(MESSAGES.ADDON.PROCESS_ITEM_FAILED(meta.id, error.message));
+    const addonName = manifest.name || MESSAGES.STREMIO.UNKNOWN_ADDON;
+    
+    // Live TV addons are fetched once, as part of the tv category
+    if (category === 'tv' && this.isLiveTvAddon(manifest)) {
+      this.logger.info(MESSAGES.ADDON.LIVE_TV_DETECTED(addonName));
+      return await this.fetchLiveTvContent(addonUrl, manifest, addonName, filters);
+    }
+    
+    // Skip categories the addon doesn't serve at all
+    const declaresCategory = (manifest.types || []).includes(category) ||
+                             (manifest.catalogs || []).some(catalog => catalog.type === category);
+    if (manifest.types && !declaresCategory) {
+      this.logger.debug(MESSAGES.ADDON.CATEGORY_NOT_SUPPORTED(addonName, category));
+      return [];
+    }
+    
+    // Standard catalog-based addon
+    this.logger.info(MESSAGES.STREMIO.CATALOG_FETCH(addonName, category));
+    
+    // Get the base URL for the addon
+    const baseUrl = addonUrl.replace('/manifest.json', '');
+    
+    // Prefer catalogs declared in the manifest, skipping ones that need extra params (e.g. search)
+    const declaredCatalogs = (manifest.catalogs || [])
+      .filter(catalog => catalog.type === category)
+      .filter(catalog => !(catalog.extra || []).some(extra => extra.isRequired) &&
+                         !(catalog.extraRequired && catalog.extraRequired.length > 0));
+    
+    // Then try common catalog endpoints
+    const fallbackCatalogs = ['top', 'popular', 'latest']
+      .map(id => ({ type: category, id }))
+      .filter(fallback => !declaredCatalogs.some(catalog => catalog.id === fallback.id));
+    
+    let responded = false;
+    let lastError = null;
+    for (const catalog of [...declaredCatalogs, ...fallbackCatalogs]) {
+      const catalogUrl = `${baseUrl}/catalog/${catalog.type}/${catalog.id}.json`;
+      const startedAt = Date.now();
+      try {
+        const catalogResponse = await this.httpClient.get(catalogUrl, { requestType: 'catalog' });
+        const catalogData = catalogResponse.data;
+        
+        if (!catalogData.metas || !Array.isArray(catalogData.metas)) {
+          this.recordCatalogResult(catalog, startedAt, 0);
+          responded = true;
+          continue;
+        }
+        
+        this.recordCatalogResult(catalog, startedAt, catalogData.metas.length);
+        this.logger.info(MESSAGES.STREMIO.CATALOG_SUCCESS(catalogData.metas.length, addonName));
+        
+        // Process each item in the catalog
+        const content = [];
+        for (const meta of catalogData.metas.slice(0, 20)) { // Limit to first 20 items
+          try {
+            const item = await this.processMetaItem(baseUrl, meta, category, addonName);
+            if (item && this.matchesFilters(item, filters)) {
+              content.push(item);
             }
+          } catch (error) {
+            this.logger.debug(MESSAGES.ADDON.PROCESS_ITEM_FAILED(meta.id, error.message));
           }
-          
-          return content;
-          
-        } catch (catalogError) {
-          this.logger.debug(MESSAGES.ADDON.FETCH_CATALOG_FAILED(catalogUrl, catalogError.message));
-          continue;
         }
+        
+        return content;
+        
+      } catch (catalogError) {
+        this.logger.debug(MESSAGES.ADDON.FETCH_CATALOG_FAILED(catalogUrl, catalogError.message));
+        this.recordCatalogResult(catalog, startedAt, 0, catalogError);
+        lastError = catalogError;
+        continue;
       }
-      
-      // If all catalog endpoints failed
-      this.logger.warn(MESSAGES.STREMIO.CATALOG_FAILED(addonName, category), 'All catalog endpoints failed');
-      return [];
-      
-    } catch (error) {
-      this.logger.error(MESSAGES.ADDON.REAL_CONTENT_ERROR(manifest.name, error));
-      return [];
     }
+    
+    if (!responded && lastError) {
+      throw this.catalogsFailedError(addonName, category, lastError);
+    }
+    
+    this.logger.warn(MESSAGES.STREMIO.CATALOG_FAILED(addonName, category), 'No catalog returned any items');
+    return [];
+  }
+
+  catalogsFailedError(addonName, category, lastError) {
+    const error = new Error(MESSAGES.STREMIO.ALL_CATALOGS_FAILED(addonName, category, lastError.message));
+    error.code = 'ADDON_CATALOGS_FAILED';
+    return error;
   }
 
   isLiveTvAddon(manifest) {
@@ -538,47 +619,53 @@ class StremioService {
     );
   }
 
+  // Throws when every TV catalog request failed, like fetchRealAddonContent()
   async fetchLiveTvContent(addonUrl, manifest, addonName, filters) {
-    try {
-      const baseUrl = addonUrl.replace('/manifest.json', '');
-      const content = [];
-      
-      // Try to fetch TV catalog
-      const tvCatalogs = manifest.catalogs.filter(catalog =>
-        catalog.type === 'tv' || catalog.id.includes('tv')
-      );
-      
-      for (const catalog of tvCatalogs.slice(0, 2)) { // Limit to first 2 catalogs
-        try {
-          const catalogUrl = `${baseUrl}/catalog/${catalog.type}/${catalog.id}.json`;
-          this.logger.debug(MESSAGES.ADDON.FETCH_CATALOG(catalogUrl));
-          
-          const catalogResponse = await this.httpClient.get(catalogUrl);
-          const catalogData = catalogResponse.data;
-          
-          if (catalogData.metas && Array.isArray(catalogData.metas)) {
-            for (const meta of catalogData.metas.slice(0, 15)) {
-              try {
-                const item = await this.processLiveTvItem(baseUrl, meta, addonName);
-                if (item) {
-                  content.push(item);
-                }
-              } catch (error) {
-                this.logger.debug(MESSAGES.ADDON.LIVE_TV_ITEM_FAILED(meta.id, error.message));
+    const baseUrl = addonUrl.replace('/manifest.json', '');
+    const content = [];
+    
+    // Try to fetch TV catalog
+    const tvCatalogs = manifest.catalogs.filter(catalog =>
+      catalog.type === 'tv' || catalog.id.includes('tv')
+    ).slice(0, 2); // Limit to first 2 catalogs
+    
+    let failures = 0;
+    let lastError = null;
+    for (const catalog of tvCatalogs) {
+      const startedAt = Date.now();
+      try {
+        const catalogUrl = `${baseUrl}/catalog/${catalog.type}/${catalog.id}.json`;
+        this.logger.debug(MESSAGES.ADDON.FETCH_CATALOG(catalogUrl));
+        
+        const catalogResponse = await this.httpClient.get(catalogUrl, { requestType: 'catalog' });
+        const catalogData = catalogResponse.data;
+        this.recordCatalogResult(catalog, startedAt, Array.isArray(catalogData.metas) ? catalogData.metas.length : 0);
+        
+        if (catalogData.metas && Array.isArray(catalogData.metas)) {
+          for (const meta of catalogData.metas.slice(0, 15)) {
+            try {
+              const item = await this.processLiveTvItem(baseUrl, meta, addonName);
+              if (item) {
+                content.push(item);
               }
+            } catch (error) {
+              this.logger.debug(MESSAGES.ADDON.LIVE_TV_ITEM_FAILED(meta.id, error.message));
             }
           }
-        } catch (error) {
-          this.logger.debug(MESSAGES.ADDON.TV_CATALOG_FAILED(catalog.id, error.message));
         }
+      } catch (error) {
+        this.logger.debug(MESSAGES.ADDON.TV_CATALOG_FAILED(catalog.id, error.message));
+        this.recordCatalogResult(catalog, startedAt, 0, error);
+        failures++;
+        lastError = error;
       }
-      
-      return content;
-      
-    } catch (error) {
-      this.logger.error(MESSAGES.ADDON.LIVE_TV_CONTENT_ERROR(error));
-      return [];
     }
+    
+    if (tvCatalogs.length > 0 && failures === tvCatalogs.length) {
+      throw this.catalogsFailedError(addonName, 'tv', lastError);
+    }
+    
+    return content;
   }
 
   async processLiveTvItem(baseUrl, meta, addonName) {
@@ -587,7 +674,7 @@ class StremioService {
       const streamUrl = `${baseUrl}/stream/tv/${meta.id}.json`;
       this.logger.debug(MESSAGES.ADDON.LIVE_TV_STREAMS_FETCH(meta.name || meta.id));
       
-      const streamResponse = await this.httpClient.get(streamUrl);
+      const streamResponse = await this.httpClient.get(streamUrl, { requestType: 'stream' });
       const streamData = streamResponse.data;
       
       if (!streamData.streams || !Array.isArray(streamData.streams)) {
@@ -596,9 +683,10 @@ class StremioService {
       
       // Process live TV streams
       const validStreams = streamData.streams
-        .filter(stream => stream.url && stream.url.includes('.m3u8'))
-        .map(stream => ({
+        .filter(stream => stream.url && STREAM_FILTERS.liveTv(stream.url))
+        .map((stream, index, streams) => ({
           url: stream.url,
+          ...streamIdentity(stream, index, streams),
           quality: stream.title || 'Live',
           source: this.extractSourceFromUrl(stream.url),
           title: stream.title || meta.name || 'Live Stream',
@@ -617,11 +705,15 @@ class StremioService {
         genre: 'Live TV',
         language: 'en',
         addon: addonName,
+        addonUrl: baseUrl,
+        metaId: meta.id,
+        streamFilter: 'liveTv',
         streams: validStreams,
         poster: meta.poster || `https://via.placeholder.com/300x450?text=${encodeURIComponent(meta.name || 'Live TV')}`,
         description: `Live TV channel from ${addonName}`,
         imdbRating: '0.0',
-        duration: null // Live streams don't have duration
+        duration: null, // Live streams don't have duration
+        programmes: this.extractProgrammes(meta)
       };
       
     } catch (error) {
@@ -637,7 +729,7 @@ class StremioService {
       const streamUrl = `${baseUrl}/stream/${category}/${meta.id}.json`;
       this.logger.debug(MESSAGES.STREMIO.STREAMS_FETCH(meta.name || meta.id));
       
-      const streamResponse = await this.httpClient.get(streamUrl);
+      const streamResponse = await this.httpClient.get(streamUrl, { requestType: 'stream' });
       const streamData = streamResponse.data;
       
       if (!streamData.streams || !Array.isArray(streamData.streams)) {
@@ -647,9 +739,10 @@ class StremioService {
       
       // Filter and process streams
       const validStreams = streamData.streams
-        .filter(stream => stream.url && (stream.url.includes('.m3u8') || stream.url.includes('http')))
-        .map(stream => ({
+        .filter(stream => stream.url && STREAM_FILTERS.meta(stream.url))
+        .map((stream, index, streams) => ({
           url: stream.url,
+          ...streamIdentity(stream, index, streams),
           quality: stream.title || 'Unknown',
           source: this.extractSourceFromUrl(stream.url),
           title: stream.title || 'Stream',
@@ -672,6 +765,9 @@ class StremioService {
         genre: (meta.genres && meta.genres[0]) || MESSAGES.STREMIO.DEFAULT_GENRE,
         language: 'en', // Default to English
         addon: addonName,
+        addonUrl: baseUrl,
+        metaId: meta.id,
+        streamFilter: 'meta',
         streams: validStreams,
         poster: meta.poster || `https://via.placeholder.com/300x450?text=${encodeURIComponent(meta.name || 'No Title')}`,
         description: meta.description || `Content from ${addonName}`,
@@ -685,6 +781,57 @@ class StremioService {
     }
   }
 
+  // stream is the playlist entry's stream; returns null when the addon no longer offers it
+  async fetchFreshStreamUrl(item, stream) {
+    // Re-fetch the owning addon's streams for an item so playback gets a non-expired URL
+    if (!item.addonUrl || !item.metaId) {
+      return null;
+    }
+    
+    const streamUrl = `${item.addonUrl}/stream/${item.type || 'tv'}/${item.metaId}.json`;
+    this.logger.debug(MESSAGES.STREMIO.STREAMS_FETCH(item.title));
+    
+    // Someone is waiting for playback - fail fast and let the resolver fall back to the last known URL
+    const streamResponse = await this.httpClient.get(streamUrl, { requestType: 'stream', maxRetries: 0 });
+    const streamData = streamResponse.data;
+    
+    if (!streamData.streams || !Array.isArray(streamData.streams)) {
+      return null;
+    }
+    
+    const filter = STREAM_FILTERS[item.streamFilter] || STREAM_FILTERS.meta;
+    const freshStreams = streamData.streams.filter(candidate => candidate.url && filter(candidate.url));
+    return this.matchFreshStream(stream, freshStreams)?.url || null;
+  }
+
+  // Positions can't be compared: the playlist drops streams the health check marked unavailable. Streams are
+  // matched by the identity recorded at refresh time instead, then by their URL
+  matchFreshStream(stream, freshStreams) {
+    if (stream.addonTitle !== undefined) {
+      const match = freshStreams.filter(candidate => (candidate.title || null) === stream.addonTitle)[stream.titleOccurrence];
+      if (match) {
+        return match;
+      }
+    }
+
+    return freshStreams.find(candidate => candidate.url === stream.url) || null;
+  }
+
+  extractProgrammes(meta) {
+    // Some live TV addons expose schedule entries as meta videos with release times
+    if (!Array.isArray(meta.videos)) {
+      return [];
+    }
+    
+    return meta.videos
+      .filter(video => video.released && !isNaN(Date.parse(video.released)))
+      .map(video => ({
+        start: video.released,
+        title: video.title || video.name || meta.name,
+        description: video.overview || video.description || null
+      }));
+  }
+
   extractSourceFromUrl(url) {
     if (url.includes('debridio.com')) return 'Debridio';
     if (url.includes('youtube.com') || url.includes('youtu.be')) return 'YouTube';
@@ -745,10 +892,10 @@ class StremioService {
       });
     }
     
-    // Remove duplicates based on title and year
+    // Remove duplicates based on title and year; Debridio profiles are kept apart so each profile keeps its channels
     const seen = new Set();
     filtered = filtered.filter(item => {
-      const key = `${item.title}_${item.year}`;
+      const key = `${item.profile || ''}_${item.title}_${item.year}`;
       if (seen.has(key)) {
         return false;
       }
@@ -0,0 +1,236 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const MESSAGES = require('../messages');
+const { resolveDataDir } = require('../utils/dataDir');
+const { redactString } = require('../utils/redact');
+const { formatPayload } = require('../utils/webhookFormatters');
+
+// Longest wait between attempts, whatever the backoff or a receiver's Retry-After asks for
+const MAX_RETRY_DELAY = 60000;
+
+// Posts refresh, channel and logo events to the configured webhooks. Failed deliveries are retried with
+// exponential backoff, and the last `deliveryLogSize` deliveries are kept in <dataDir>/webhook-deliveries.json
+class WebhookService {
+  constructor(config = {}, logger, storageConfig = {}) {
+    this.config = {
+      timeout: 10000,
+      maxRetries: 3,
+      retryDelay: 5000,
+      deliveryLogSize: 200,
+      hooks: [],
+      ...config
+    };
+    this.logger = logger;
+    this.deliveriesPath = path.join(resolveDataDir(storageConfig), 'webhook-deliveries.json');
+    this.deliveries = null;
+    this.saving = Promise.resolve();
+
+    this.hooks = this.config.hooks
+      .filter(hook => hook.enabled !== false)
+      .map(hook => ({
+        name: hook.name || new URL(hook.url).host,
+        url: hook.url,
+        events: hook.events || ['*'],
+        format: hook.format || 'generic',
+        template: hook.template ?? null,
+        secret: hook.secret || null,
+        headers: hook.headers || {},
+        delivered: 0,
+        failed: 0,
+        lastDelivery: null
+      }));
+  }
+
+  async load() {
+    if (this.deliveries) return this.deliveries;
+
+    this.deliveries = [];
+    try {
+      if (await fs.pathExists(this.deliveriesPath)) {
+        const data = await fs.readJson(this.deliveriesPath);
+        this.deliveries = Array.isArray(data) ? data : [];
+      }
+    } catch (error) {
+      this.logger.warn(MESSAGES.WEBHOOKS.LOAD_FAILED(error.message));
+    }
+    return this.deliveries;
+  }
+
+  // Writes are chained so concurrent deliveries can't interleave their saves
+  save() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.deliveriesPath));
+        await fs.writeJson(this.deliveriesPath, this.deliveries, { spaces: 2 });
+      } catch (error) {
+        this.logger.warn(MESSAGES.WEBHOOKS.SAVE_FAILED(error.message));
+      }
+    });
+    return this.saving;
+  }
+
+  subscribes(hook, event) {
+    return hook.events.includes('*') || hook.events.includes(event);
+  }
+
+  createPayload(event, data = {}, message = event) {
+    return {
+      id: crypto.randomUUID(),
+      event,
+      timestamp: new Date().toISOString(),
+      message,
+      data
+    };
+  }
+
+  // Never rejects; each delivery is logged and kept in the delivery log
+  async emit(event, data = {}, message = event) {
+    const hooks = this.hooks.filter(hook => this.subscribes(hook, event));
+    if (hooks.length === 0) {
+      return [];
+    }
+
+    const payload = this.createPayload(event, data, message);
+    return Promise.all(hooks.map(hook => this.deliver(hook, payload)));
+  }
+
+  // Signature is sha256 HMAC of "<timestamp>.<body>", so receivers can also reject replayed requests
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  buildRequest(hook, payload) {
+    const { body, contentType, headers } = formatPayload(hook.format, payload, hook.template);
+    const serialized = typeof body === 'string' ? body : JSON.stringify(body);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    return {
+      body: serialized,
+      headers: {
+        ...headers,
+        ...hook.headers,
+        'Content-Type': contentType,
+        'User-Agent': 'Debridio-Emby-Resolver-Webhooks',
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Delivery': payload.id,
+        'X-Webhook-Timestamp': timestamp,
+        ...(hook.secret ? { 'X-Webhook-Signature': this.sign(hook.secret, timestamp, serialized) } : {})
+      }
+    };
+  }
+
+  // Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx responses won't change
+  isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  describeError(error) {
+    const status = error.response?.status;
+    return redactString(status ? `HTTP ${status}` : (error.code || error.message));
+  }
+
+  // Honours Retry-After (in seconds) when the receiver is rate limiting us, otherwise doubles the delay each attempt
+  getRetryDelay(error, attempt) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+      return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+    }
+    return Math.min(this.config.retryDelay * Math.pow(2, attempt - 1), MAX_RETRY_DELAY);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms).unref());
+  }
+
+  // maxRetries can be lowered for a single delivery, e.g. test deliveries that someone is waiting on
+  async deliver(hook, payload, { maxRetries = this.config.maxRetries } = {}) {
+    const delivery = {
+      id: `${payload.id}-${hook.name}`,
+      webhook: hook.name,
+      event: payload.event,
+      eventId: payload.id,
+      message: payload.message,
+      status: 'pending',
+      attempts: [],
+      createdAt: payload.timestamp,
+      completedAt: null
+    };
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      // Rebuilt on every attempt so the signature's timestamp stays fresh
+      const request = this.buildRequest(hook, payload);
+      const startedAt = Date.now();
+
+      try {
+        const response = await axios.post(hook.url, request.body, {
+          headers: request.headers,
+          timeout: this.config.timeout,
+          // Keep axios from re-serializing string bodies
+          transformRequest: [data => data]
+        });
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), statusCode: response.status, error: null, durationMs: Date.now() - startedAt });
+        delivery.status = 'delivered';
+        break;
+      } catch (error) {
+        const reason = this.describeError(error);
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), statusCode: error.response?.status || null, error: reason, durationMs: Date.now() - startedAt });
+
+        if (attempt > maxRetries || !this.isRetryable(error)) {
+          delivery.status = 'failed';
+          break;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        this.logger.debug(MESSAGES.WEBHOOKS.RETRYING(hook.name, payload.event, reason, delay));
+        await this.sleep(delay);
+      }
+    }
+
+    delivery.completedAt = new Date().toISOString();
+
+    if (delivery.status === 'delivered') {
+      hook.delivered++;
+      this.logger.info(MESSAGES.WEBHOOKS.DELIVERED(hook.name, payload.event, delivery.attempts.length));
+    } else {
+      hook.failed++;
+      this.logger.warn(MESSAGES.WEBHOOKS.DELIVERY_FAILED(hook.name, payload.event, delivery.attempts[delivery.attempts.length - 1].error, delivery.attempts.length));
+    }
+    hook.lastDelivery = { id: delivery.id, event: delivery.event, status: delivery.status, at: delivery.completedAt };
+
+    const deliveries = await this.load();
+    deliveries.push(delivery);
+    deliveries.splice(0, Math.max(0, deliveries.length - this.config.deliveryLogSize));
+    await this.save();
+
+    return delivery;
+  }
+
+  // Newest first
+  async listDeliveries({ limit = null, webhook = null, event = null, status = null } = {}) {
+    const deliveries = (await this.load())
+      .filter(delivery => (!webhook || delivery.webhook === webhook) && (!event || delivery.event === event) && (!status || delivery.status === status))
+      .reverse();
+
+    return limit ? deliveries.slice(0, limit) : deliveries;
+  }
+
+  find(name) {
+    return this.hooks.find(hook => hook.name === name) || null;
+  }
+
+  // Webhook URLs often carry their credentials in the path (Discord tokens, ntfy topics), so only the origin
+  // is shown unless revealUrls is set; secrets are never shown
+  getStatus({ revealUrls = false } = {}) {
+    return this.hooks.map(({ secret, headers, template, url, ...hook }) => ({
+      ...hook,
+      url: revealUrls ? url : `${new URL(url).origin}/***`,
+      signed: Boolean(secret),
+      templated: template !== null
+    }));
+  }
+}
+
+module.exports = WebhookService;
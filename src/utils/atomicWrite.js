@@ -0,0 +1,26 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes to a temp file in the same directory and renames it over the target,
+// so readers only ever see the old file or the complete new one
+async function writeFileAtomic(filePath, content) {
+  await fs.ensureDir(path.dirname(filePath));
+
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  try {
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
@@ -0,0 +1,51 @@
+// Compares two channel lists ({ id, title, streamUrls }) and reports what changed between them
+function diffChannels(previousChannels, currentChannels) {
+  const previousById = new Map(previousChannels.map(channel => [channel.id, channel]));
+  const currentById = new Map(currentChannels.map(channel => [channel.id, channel]));
+
+  const added = [];
+  const removed = [];
+  const renamed = [];
+  const streamChanged = [];
+
+  for (const [id, channel] of currentById) {
+    const before = previousById.get(id);
+    if (!before) {
+      added.push({ id, title: channel.title });
+      continue;
+    }
+
+    if (before.title !== channel.title) {
+      renamed.push({ id, from: before.title, to: channel.title });
+    }
+
+    const sameStreams = before.streamUrls.length === channel.streamUrls.length &&
+                        before.streamUrls.every(url => channel.streamUrls.includes(url));
+    if (!sameStreams) {
+      streamChanged.push({ id, title: channel.title });
+    }
+  }
+
+  for (const [id, channel] of previousById) {
+    if (!currentById.has(id)) {
+      removed.push({ id, title: channel.title });
+    }
+  }
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      renamed: renamed.length,
+      streamChanged: streamChanged.length
+    },
+    added,
+    removed,
+    renamed,
+    streamChanged
+  };
+}
+
+module.exports = {
+  diffChannels
+};
@@ -0,0 +1,71 @@
+const { AsyncResource } = require('async_hooks');
+
+// Runs worker(item, index) over items with at most `limit` calls in flight, preserving result order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+// Returns run(task) which starts task() once fewer than `limit` earlier tasks are still running
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  // Queued tasks are started by whichever task finishes first, so bind each one to its caller's
+  // async context; otherwise request tracking (AddonHttpClient.track) would count it for the wrong caller
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task: AsyncResource.bind(task), resolve, reject });
+    next();
+  });
+}
+
+// Returns run(url, task) which applies a separate `limit` to each host
+function createHostLimiter(limit) {
+  const limiters = new Map();
+
+  return (url, task) => {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      host = '';
+    }
+
+    if (!limiters.has(host)) {
+      limiters.set(host, createLimiter(limit));
+    }
+    return limiters.get(host)(task);
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createLimiter,
+  createHostLimiter
+};
@@ -0,0 +1,443 @@
+const cron = require('node-cron');
+const { isSecretName } = require('./redact');
+
+// Schema for config.json. Each node describes one value:
+//   type: string | number | integer | boolean | array | object
+//   default: filled in when the key is missing (objects get their children's defaults)
+//   nullable, enum, min, max, pattern, format (cron | url), items (array element schema),
+//   properties (object children), required (must be present, no default)
+
+const positiveInteger = (defaultValue) => ({ type: 'integer', min: 1, default: defaultValue });
+const authScope = { type: 'string', enum: ['read', 'admin'] };
+const webhookEvents = ['*', 'refresh.completed', 'refresh.failed', 'refresh.degraded', 'channels.added', 'channels.removed', 'logo.enhancement.completed'];
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', min: 1, max: 65535, default: 3333 },
+        host: { type: 'string', default: 'localhost' },
+        watchConfig: { type: 'boolean', default: true },
+        allowedOrigins: { type: 'array', default: [], items: { type: 'string' } }
+      }
+    },
+    auth: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        tokens: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', nullable: true },
+              token: { type: 'string', required: true },
+              scopes: { type: 'array', default: ['read'], items: authScope }
+            }
+          }
+        },
+        users: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              username: { type: 'string', required: true },
+              password: { type: 'string', required: true },
+              scopes: { type: 'array', default: ['read', 'admin'], items: authScope }
+            }
+          }
+        },
+        anonymousScopes: { type: 'array', default: [], items: authScope }
+      }
+    },
+    stremio: {
+      type: 'object',
+      properties: {
+        apiUrl: { type: 'string', format: 'url', default: 'http://127.0.0.1:11470' },
+        userAgent: { type: 'string', default: 'Stremio/4.4.0' },
+        timeout: positiveInteger(10000),
+        timeouts: {
+          type: 'object',
+          properties: {
+            manifest: { type: 'integer', min: 1 },
+            catalog: { type: 'integer', min: 1 },
+            stream: { type: 'integer', min: 1 }
+          }
+        }
+      }
+    },
+    playlist: {
+      type: 'object',
+      properties: {
+        outputPath: { type: 'string', default: './playlist.m3u' },
+        name: { type: 'string', default: 'Stremio Playlist' },
+        refreshInterval: { type: 'string', format: 'cron', default: '0 0 * * * *' },
+        maxRetries: { type: 'integer', min: 0, default: 3 },
+        retryDelay: { type: 'integer', min: 0, default: 5000 },
+        minChannelPercent: { type: 'number', min: 0, max: 100, default: 50 },
+        degradedRetryMinutes: { type: 'number', min: 1, default: 5 },
+        streamMode: { type: 'string', enum: ['direct', 'redirect'], default: 'direct' },
+        publicUrl: { type: 'string', format: 'url', nullable: true, default: null },
+        streamCacheSeconds: { type: 'integer', min: 0, default: 60 }
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'], default: 'info' },
+        enableConsole: { type: 'boolean', default: true },
+        enableFile: { type: 'boolean', default: false },
+        logFile: { type: 'string', default: './logs/app.log' },
+        fileFormat: { type: 'string', enum: ['text', 'json'], default: 'text' },
+        maxFileSizeMB: { type: 'number', min: 0, default: 10 },
+        rotateInterval: { type: 'string', enum: ['none', 'hourly', 'daily'], default: 'daily' },
+        maxFiles: positiveInteger(5),
+        bufferSize: positiveInteger(1000),
+        revealSecrets: { type: 'boolean', default: false }
+      }
+    },
+    epg: {
+      type: 'object',
+      properties: {
+        placeholderSlotMinutes: positiveInteger(60),
+        placeholderHours: positiveInteger(48)
+      }
+    },
+    hdhomerun: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        deviceId: { type: 'string', pattern: /^[0-9A-Fa-f]{8}$/, patternDescription: '8 hex digits', default: '12345678' },
+        friendlyName: { type: 'string', default: 'Stremio Debridio Emby Resolver' },
+        tunerCount: positiveInteger(2),
+        ssdp: { type: 'boolean', default: false }
+      }
+    },
+    healthCheck: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        concurrency: positiveInteger(5),
+        timeout: positiveInteger(5000),
+        historySize: positiveInteger(10),
+        minSamples: positiveInteger(3),
+        minSuccessRate: { type: 'number', min: 0, max: 1, default: 0.5 },
+        flakyAction: { type: 'string', enum: ['flag', 'drop'], default: 'flag' }
+      }
+    },
+    backups: {
+      type: 'object',
+      properties: {
+        directory: { type: 'string', default: './backups' },
+        maxCount: { type: 'integer', min: 0, default: 48 },
+        maxAgeDays: { type: 'number', min: 0, default: 7 }
+      }
+    },
+    lineup: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', default: './lineup.json' }
+      }
+    },
+    storage: {
+      type: 'object',
+      properties: {
+        dataDir: { type: 'string', nullable: true },
+        snapshotRetention: positiveInteger(48),
+        refreshHistoryRetention: positiveInteger(100)
+      }
+    },
+    metrics: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true }
+      }
+    },
+    mediaServers: {
+      type: 'object',
+      properties: {
+        timeout: positiveInteger(10000),
+        notifiers: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', nullable: true },
+              type: { type: 'string', enum: ['emby', 'jellyfin'], required: true },
+              url: { type: 'string', format: 'url', required: true },
+              apiKey: { type: 'string', required: true },
+              enabled: { type: 'boolean', default: true },
+              notifyOn: { type: 'string', enum: ['changes', 'publish'], default: 'changes' },
+              action: { type: 'string', enum: ['refreshGuide', 'refreshTuner'], default: 'refreshGuide' },
+              registerTuner: { type: 'boolean', default: false },
+              playlistUrl: { type: 'string', format: 'url', nullable: true, default: null }
+            }
+          }
+        }
+      }
+    },
+    webhooks: {
+      type: 'object',
+      properties: {
+        timeout: positiveInteger(10000),
+        maxRetries: { type: 'integer', min: 0, default: 3 },
+        retryDelay: { type: 'integer', min: 0, default: 5000 },
+        deliveryLogSize: positiveInteger(200),
+        hooks: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', nullable: true },
+              url: { type: 'string', format: 'url', required: true },
+              enabled: { type: 'boolean', default: true },
+              events: { type: 'array', default: ['*'], items: { type: 'string', enum: webhookEvents } },
+              format: { type: 'string', enum: ['generic', 'discord', 'ntfy'], default: 'generic' },
+              // Any JSON value with {{path}} placeholders
+              template: { type: 'any', nullable: true, default: null },
+              secret: { type: 'string', nullable: true, default: null },
+              headers: { type: 'object' }
+            }
+          }
+        }
+      }
+    },
+    logos: {
+      type: 'object',
+      properties: {
+        enableWikimedia: { type: 'boolean', default: false }
+      }
+    },
+    debridio: {
+      type: 'object',
+      properties: {
+        profiles: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string', nullable: true },
+              url: { type: 'string', format: 'url', required: true }
+            }
+          }
+        },
+        concurrency: positiveInteger(8),
+        perHostConcurrency: positiveInteger(4)
+      }
+    },
+    secureAddons: {
+      type: 'array',
+      items: { type: 'string', format: 'url' }
+    },
+    sources: {
+      type: 'object',
+      properties: {
+        enabledAddons: { type: 'array', default: [], items: { type: 'string' } },
+        categories: {
+          type: 'array',
+          default: ['movie', 'series', 'tv'],
+          items: { type: 'string', enum: ['movie', 'series', 'tv'] }
+        },
+        filters: {
+          type: 'object',
+          properties: {
+            minYear: { type: 'integer', min: 1800 },
+            maxYear: { type: 'integer', min: 1800 },
+            genres: { type: 'array', default: [], items: { type: 'string' } },
+            languages: { type: 'array', default: [], items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Strings that are or may be URLs (addon install URLs carry debrid keys) and secret settings are described
+// by their length only, since errors end up in logs and the validate output
+function isSensitiveString(value, path, schema) {
+  const key = path.replace(/\[\d+\]$/, '').split('.').pop();
+  return schema?.format === 'url' || value.includes('://') || /url$/i.test(key) || isSecretName(key);
+}
+
+function describeValue(value, path = '', schema = null) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return isSensitiveString(value, path, schema) ? `a hidden string of ${value.length} characters` : `"${value}"`;
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function checkType(schema, value) {
+  switch (schema.type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'any': return true;
+    default: return typeof value === schema.type;
+  }
+}
+
+// Returns the value with defaults applied; problems are pushed onto errors/warnings as "path: message"
+function validateNode(schema, value, path, errors, warnings) {
+  if (value === undefined) {
+    if (schema.required) {
+      errors.push(`${path}: is required`);
+      return value;
+    }
+    if (schema.type === 'object' && schema.default === undefined) {
+      value = {};
+    } else if (schema.default !== undefined) {
+      // Copy defaults so validated configs never share arrays with the schema
+      return Array.isArray(schema.default) ? [...schema.default] : schema.default;
+    } else {
+      return value;
+    }
+  }
+
+  if (value === null) {
+    if (!schema.nullable) {
+      errors.push(`${path}: must not be null`);
+    }
+    return value;
+  }
+
+  if (!checkType(schema, value)) {
+    errors.push(`${path}: expected ${schema.type}, got ${describeValue(value, path, schema)}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}, got ${describeValue(value, path, schema)}`);
+  }
+
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push(`${path}: must be at least ${schema.min}, got ${value}`);
+  }
+
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push(`${path}: must be at most ${schema.max}, got ${value}`);
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${path}: must be ${schema.patternDescription}, got ${describeValue(value, path, schema)}`);
+  }
+
+  if (schema.format === 'url' && !isValidUrl(value)) {
+    errors.push(`${path}: must be an http(s) URL, got ${describeValue(value, path, schema)}`);
+  }
+
+  if (schema.format === 'cron' && !cron.validate(value)) {
+    errors.push(`${path}: is not a valid cron expression: ${describeValue(value, path, schema)}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.map((item, index) => validateNode(schema.items, item, `${path}[${index}]`, errors, warnings));
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const result = { ...value };
+
+    for (const [key, childSchema] of Object.entries(schema.properties)) {
+      const childValue = validateNode(childSchema, value[key], path ? `${path}.${key}` : key, errors, warnings);
+      if (childValue !== undefined) {
+        result[key] = childValue;
+      }
+    }
+
+    // Unknown keys are kept but reported, since they're usually typos
+    for (const key of Object.keys(value)) {
+      if (!schema.properties[key]) {
+        warnings.push(`${path ? `${path}.${key}` : key}: unknown setting, ignored`);
+      }
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+// Checks that span more than one setting
+function validateCrossFields(config, errors) {
+  const filters = config.sources?.filters;
+  if (filters && Number.isInteger(filters.minYear) && Number.isInteger(filters.maxYear) && filters.minYear > filters.maxYear) {
+    errors.push(`sources.filters.minYear: must not be greater than sources.filters.maxYear (${filters.minYear} > ${filters.maxYear})`);
+  }
+
+  // Turning auth on without any credentials would lock everyone out of the admin routes
+  const auth = config.auth;
+  if (auth?.enabled === true && Array.isArray(auth.tokens) && Array.isArray(auth.users) && auth.tokens.length === 0 && auth.users.length === 0) {
+    errors.push('auth.enabled: needs at least one entry in auth.tokens or auth.users');
+  }
+
+  // Redirect-mode links would otherwise point at server.host, which is usually localhost or 0.0.0.0 and
+  // unreachable from the devices that play them
+  const playlist = config.playlist;
+  if (playlist?.streamMode === 'redirect' && !playlist.publicUrl) {
+    errors.push('playlist.publicUrl: is required when playlist.streamMode is "redirect", e.g. "http://192.168.1.10:3333"');
+  }
+
+  // Notifiers are addressed by name in /api/notifiers/:name/notify
+  const notifierNames = new Set();
+  for (const [index, notifier] of (config.mediaServers?.notifiers || []).entries()) {
+    if (typeof notifier?.name === 'string') {
+      if (notifierNames.has(notifier.name)) {
+        errors.push(`mediaServers.notifiers[${index}].name: "${notifier.name}" is used by another notifier`);
+      }
+      notifierNames.add(notifier.name);
+    }
+  }
+
+  // Webhooks are addressed by name in /api/webhooks/:name/test and the delivery log
+  const webhookNames = new Set();
+  for (const [index, hook] of (config.webhooks?.hooks || []).entries()) {
+    if (typeof hook?.name === 'string') {
+      if (webhookNames.has(hook.name)) {
+        errors.push(`webhooks.hooks[${index}].name: "${hook.name}" is used by another webhook`);
+      }
+      webhookNames.add(hook.name);
+    }
+  }
+
+  for (const [index, addon] of (config.sources?.enabledAddons || []).entries()) {
+    if (typeof addon === 'string' && addon.startsWith('http') && !isValidUrl(addon)) {
+      errors.push(`sources.enabledAddons[${index}]: must be an addon ID or an http(s) manifest URL, got ${describeValue(addon, 'sources.enabledAddons')}`);
+    }
+  }
+}
+
+function validateConfig(config) {
+  const errors = [];
+  const warnings = [];
+
+  if (!checkType(CONFIG_SCHEMA, config)) {
+    return { config, errors: [`(root): expected object, got ${describeValue(config)}`], warnings };
+  }
+
+  const validated = validateNode(CONFIG_SCHEMA, config, '', errors, warnings);
+  validateCrossFields(validated, errors);
+
+  return { config: validated, errors, warnings };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig
+};
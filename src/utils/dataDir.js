@@ -0,0 +1,19 @@
+const path = require('path');
+
+// Resolves the directory used for persistent runtime data (snapshots, history, etc.)
+// In packaged apps the app directory is read-only, so fall back to the resources directory like the logo cache
+function resolveDataDir(storageConfig = {}) {
+  if (storageConfig.dataDir) {
+    return path.resolve(storageConfig.dataDir);
+  }
+
+  if (process.resourcesPath) {
+    return path.join(process.resourcesPath, 'data');
+  }
+
+  return path.join(__dirname, '../../data');
+}
+
+module.exports = {
+  resolveDataDir
+};
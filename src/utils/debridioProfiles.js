@@ -0,0 +1,87 @@
+// Helpers for building the list of Debridio profiles (one labelled entry per Debridio install URL)
+// Profiles can come from config.json, environment variables and the desktop app's user config
+
+function normalizeAddonUrl(url) {
+  // Remove /manifest.json suffix
+  let normalized = url.replace(/\/manifest\.json$/, '');
+  // Decode any URL encoding to normalize %3D vs = differences
+  try {
+    normalized = decodeURIComponent(normalized);
+  } catch (e) {
+    // If decoding fails, use original
+  }
+  return normalized;
+}
+
+function isDebridioUrl(url) {
+  return typeof url === 'string' && url.includes('debridio.com');
+}
+
+function defaultProfileLabel(index) {
+  return index === 0 ? 'Debridio' : `Debridio ${index + 1}`;
+}
+
+// Item ids from the first profile stay as they were before profiles existed, so lineup rules keep working;
+// later profiles get their label folded into the id to keep channels apart
+function profileIdKey(label, index) {
+  if (index === 0) return null;
+  return label.toLowerCase().replace(/[^a-z0-9]/g, '') || String(index + 1);
+}
+
+// Parses "Label|https://.../manifest.json" entries separated by commas or newlines (label is optional)
+function parseProfileList(value) {
+  if (!value) return [];
+
+  return value
+    .split(/[\n,]+/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separatorIndex = entry.indexOf('|');
+      if (separatorIndex === -1) {
+        return { label: null, url: entry };
+      }
+      return {
+        label: entry.slice(0, separatorIndex).trim() || null,
+        url: entry.slice(separatorIndex + 1).trim()
+      };
+    });
+}
+
+// Dedupes profiles by URL (first one wins, so labelled sources should come first) and fills in labels
+function normalizeProfiles(profiles) {
+  const seenUrls = new Set();
+  const usedLabels = new Set();
+  const result = [];
+
+  for (const profile of profiles) {
+    if (!profile || !profile.url) continue;
+
+    const url = profile.url.endsWith('/manifest.json') ? profile.url : `${profile.url}/manifest.json`;
+    const key = normalizeAddonUrl(url);
+    if (seenUrls.has(key)) continue;
+    seenUrls.add(key);
+
+    // Labels identify profiles in logs and /status, so keep them unique
+    const baseLabel = profile.label || defaultProfileLabel(result.length);
+    let label = baseLabel;
+    let suffix = 2;
+    while (usedLabels.has(label)) {
+      label = `${baseLabel} (${suffix++})`;
+    }
+    usedLabels.add(label);
+
+    result.push({ label, url });
+  }
+
+  return result;
+}
+
+module.exports = {
+  normalizeAddonUrl,
+  isDebridioUrl,
+  defaultProfileLabel,
+  profileIdKey,
+  parseProfileList,
+  normalizeProfiles
+};
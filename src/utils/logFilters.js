@@ -0,0 +1,54 @@
+const MESSAGES = require('../messages');
+
+// Parses /api/logs query parameters into options for Logger.getEntries
+// ?level=warn keeps warnings and errors, ?service=HealthChecker keeps one service's entries,
+// ?since= takes an ISO date or a number of minutes back, ?limit= keeps only the newest entries
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+function parseSince(value) {
+  if (/^\d+$/.test(value)) {
+    return new Date(Date.now() - Number(value) * 60 * 1000);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(MESSAGES.LOGS.INVALID_SINCE(value));
+  }
+  return date;
+}
+
+function parseLogFilters(query = {}) {
+  const filters = {
+    level: null,
+    service: typeof query.service === 'string' && query.service ? query.service : null,
+    since: null,
+    limit: null
+  };
+
+  if (query.level !== undefined) {
+    const level = String(query.level).toLowerCase();
+    if (!LEVELS.includes(level)) {
+      throw new Error(MESSAGES.LOGS.INVALID_LEVEL(query.level));
+    }
+    filters.level = level;
+  }
+
+  if (query.since !== undefined) {
+    filters.since = parseSince(String(query.since));
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(MESSAGES.LOGS.INVALID_LIMIT(query.limit));
+    }
+    filters.limit = limit;
+  }
+
+  return filters;
+}
+
+module.exports = {
+  parseLogFilters
+};
@@ -1,13 +1,58 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { redactString, redactValue } = require('./redact');
+
+// Errors don't survive JSON.stringify (they become {}), so copy out the useful parts, causes included
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack
+  };
+
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+
+  if (error.cause !== undefined) {
+    serialized.cause = error.cause instanceof Error ? serializeError(error.cause) : error.cause;
+  }
+
+  return serialized;
+}
+
+function formatError(error) {
+  let text = error.stack || `${error.name}: ${error.message}`;
+  if (error.cause instanceof Error) {
+    text += `\nCaused by: ${formatError(error.cause)}`;
+  } else if (error.cause !== undefined) {
+    text += `\nCaused by: ${String(error.cause)}`;
+  }
+  return text;
+}
 
 class Logger {
-  constructor(config = {}) {
+  // Child loggers (see child()) share the root's config and file, and add their context to every entry
+  constructor(config = {}, context = {}, root = null) {
+    this.root = root || this;
+    this.context = context;
+
+    if (root) {
+      this.config = root.config;
+      return;
+    }
+
     this.config = {
       level: config.level || 'info',
       enableConsole: config.enableConsole !== false,
       enableFile: config.enableFile || false,
       logFile: config.logFile || './logs/app.log',
+      fileFormat: config.fileFormat || 'text',
+      maxFileSizeMB: config.maxFileSizeMB ?? 10,
+      rotateInterval: config.rotateInterval || 'daily',
+      maxFiles: config.maxFiles || 5,
+      bufferSize: config.bufferSize ?? 1000,
+      revealSecrets: config.revealSecrets || false,
       ...config
     };
 
@@ -18,12 +63,64 @@ class Logger {
       debug: 3
     };
 
+    // Recent entries for /api/logs, and listeners for live streaming (SSE, the desktop app's log overlay)
+    this.buffer = [];
+    this.subscribers = new Set();
+    this.nextId = 1;
+    this.replacedBy = null; // Set by transferFrom() once a config reload swaps in a new logger
+
+    // File writes are queued so rotation never races with an append
+    this.fileQueue = Promise.resolve();
+    this.fileState = null; // { size, period } of the current log file, read on the first write
+
     // Ensure log directory exists if file logging is enabled
     if (this.config.enableFile) {
       this.ensureLogDirectory();
     }
   }
 
+  // Returns a logger whose entries carry extra fields, e.g. logger.child({ service: 'HealthChecker' })
+  // or logger.child({ addon, channel }) for one request
+  child(context) {
+    return new Logger(null, { ...this.context, ...context }, this.root);
+  }
+
+  // Keeps the buffer and subscribers of the logger this one replaces, e.g. after a config reload. Services that
+  // outlive the reload still hold children of the previous logger, so its entries are forwarded here
+  transferFrom(previous) {
+    this.buffer = previous.root.buffer.slice(-this.config.bufferSize);
+    this.subscribers = previous.root.subscribers;
+    this.nextId = previous.root.nextId;
+    previous.root.replacedBy = this;
+  }
+
+  // Calls listener(entry) for every entry from now on; returns a function that unsubscribes
+  subscribe(listener) {
+    const subscribers = this.root.subscribers;
+    subscribers.add(listener);
+    return () => subscribers.delete(listener);
+  }
+
+  // level keeps that level and anything more severe, since is a Date and afterId an entry id (for resuming a stream)
+  matches(entry, { level = null, service = null, since = null, afterId = null } = {}) {
+    return (!level || this.root.levels[entry.level] <= this.root.levels[level]) &&
+      (!service || (entry.service || '').toLowerCase() === service.toLowerCase()) &&
+      (!since || new Date(entry.time) >= since) &&
+      (!afterId || entry.id > afterId);
+  }
+
+  // Buffered entries matching the filters (see matches()), oldest first
+  getEntries(filters = {}) {
+    let entries = this.root.buffer.filter(entry => this.matches(entry, filters));
+    const limit = filters.limit;
+
+    if (limit) {
+      entries = entries.slice(-limit);
+    }
+
+    return entries;
+  }
+
   async ensureLogDirectory() {
     try {
       const logDir = path.dirname(this.config.logFile);
@@ -34,24 +131,69 @@ class Logger {
   }
 
   shouldLog(level) {
-    return this.levels[level] <= this.levels[this.config.level];
+    return this.root.levels[level] <= this.root.levels[this.config.level];
+  }
+
+  // Tokens and addon keys are masked unless logging.revealSecrets is set
+  redact(text) {
+    return this.config.revealSecrets ? text : redactString(text);
+  }
+
+  formatArg(arg) {
+    if (arg instanceof Error) {
+      return formatError(arg);
+    }
+    return typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg);
+  }
+
+  formatText(message, args) {
+    const formattedArgs = args.length > 0 ? ' ' + args.map(arg => this.formatArg(arg)).join(' ') : '';
+    return `${message}${formattedArgs}`;
   }
 
   formatMessage(level, message, ...args) {
     const timestamp = new Date().toISOString();
-    const formattedArgs = args.length > 0 ? ' ' + args.map(arg => 
-      typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-    ).join(' ') : '';
-    
-    return `[${timestamp}] [${level.toUpperCase()}] ${message}${formattedArgs}`;
+    return this.redact(`[${timestamp}] [${level.toUpperCase()}] ${this.formatText(message, args)}`);
+  }
+
+  // One JSON object per line: plain values are appended to the message, errors go to `error`
+  // and other objects to `data`, next to the logger's context fields
+  formatJson(level, message, args, context) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...context,
+      message: [message, ...args.filter(arg => arg === null || typeof arg !== 'object').map(String)].join(' ')
+    };
+
+    const errors = args.filter(arg => arg instanceof Error);
+    if (errors.length > 0) {
+      entry.error = serializeError(errors[0]);
+    }
+
+    const data = args.filter(arg => arg !== null && typeof arg === 'object' && !(arg instanceof Error));
+    if (data.length > 0) {
+      entry.data = data.length === 1 ? data[0] : data;
+    }
+
+    return JSON.stringify(this.config.revealSecrets ? entry : redactValue(entry));
+  }
+
+  log(level, message, ...args) {
+    return this.root.write(level, message, args, this.context);
   }
 
-  async log(level, message, ...args) {
+  async write(level, message, args, context) {
+    if (this.replacedBy) {
+      return this.replacedBy.write(level, message, args, context);
+    }
+
     if (!this.shouldLog(level)) {
       return;
     }
 
     const formattedMessage = this.formatMessage(level, message, ...args);
+    this.publish(level, message, args, context);
 
     // Console logging
     if (this.config.enableConsole) {
@@ -72,14 +214,88 @@ class Logger {
 
     // File logging
     if (this.config.enableFile) {
+      const line = this.config.fileFormat === 'json' ? this.formatJson(level, message, args, context) : formattedMessage;
+      this.fileQueue = this.fileQueue.then(() => this.appendToFile(line + '\n'));
+      await this.fileQueue;
+    }
+  }
+
+  publish(level, message, args, context) {
+    const entry = {
+      id: this.nextId++,
+      time: new Date().toISOString(),
+      level,
+      ...(this.config.revealSecrets ? context : redactValue(context)),
+      message: this.redact(this.formatText(message, args))
+    };
+
+    this.buffer.push(entry);
+    if (this.buffer.length > this.config.bufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.config.bufferSize);
+    }
+
+    for (const listener of this.subscribers) {
+      // A broken listener must not break logging for everyone else
       try {
-        await fs.appendFile(this.config.logFile, formattedMessage + '\n');
+        listener(entry);
       } catch (error) {
-        console.error('Failed to write to log file:', error);
+        console.error('Log subscriber failed:', error);
+      }
+    }
+  }
+
+  getPeriod(date) {
+    switch (this.config.rotateInterval) {
+      case 'hourly': return date.toISOString().slice(0, 13);
+      case 'daily': return date.toISOString().slice(0, 10);
+      default: return null;
+    }
+  }
+
+  async appendToFile(line) {
+    try {
+      if (!this.fileState) {
+        const stats = await fs.stat(this.config.logFile).catch(() => null);
+        this.fileState = {
+          size: stats ? stats.size : 0,
+          period: this.getPeriod(stats ? stats.mtime : new Date())
+        };
       }
+
+      const maxBytes = this.config.maxFileSizeMB * 1024 * 1024;
+      const lineBytes = Buffer.byteLength(line);
+      const tooBig = maxBytes > 0 && this.fileState.size > 0 && this.fileState.size + lineBytes > maxBytes;
+      const newPeriod = this.getPeriod(new Date()) !== this.fileState.period;
+
+      if (tooBig || newPeriod) {
+        await this.rotate();
+      }
+
+      await fs.appendFile(this.config.logFile, line);
+      this.fileState.size += lineBytes;
+    } catch (error) {
+      console.error('Failed to write to log file:', error);
     }
   }
 
+  // app.log becomes app.log.1, app.log.1 becomes app.log.2 and so on; files past maxFiles are deleted
+  async rotate() {
+    const logFile = this.config.logFile;
+
+    await fs.remove(`${logFile}.${this.config.maxFiles}`);
+    for (let index = this.config.maxFiles - 1; index >= 1; index--) {
+      if (await fs.pathExists(`${logFile}.${index}`)) {
+        await fs.move(`${logFile}.${index}`, `${logFile}.${index + 1}`, { overwrite: true });
+      }
+    }
+
+    if (await fs.pathExists(logFile)) {
+      await fs.move(logFile, `${logFile}.1`, { overwrite: true });
+    }
+
+    this.fileState = { size: 0, period: this.getPeriod(new Date()) };
+  }
+
   error(message, ...args) {
     return this.log('error', message, ...args);
   }
@@ -97,4 +313,4 @@ class Logger {
   }
 }
 
-module.exports = Logger;
\ No newline at end of file
+module.exports = Logger;
@@ -0,0 +1,150 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Label sets are stored under a stable key so { a, b } and { b, a } are the same series
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map(); // labelKey -> { labels, ... }
+  }
+
+  getSeries(labels, create) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: { ...labels }, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+  }
+}
+
+// Counters and gauges hold one number per label set. collect() is called on every scrape instead,
+// for values another object already tracks
+class ValueMetric extends Metric {
+  constructor(type, name, help, collect = null) {
+    super(type, name, help);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSamples() {
+    if (this.collect) {
+      this.series.clear();
+      for (const { labels = {}, value } of this.collect()) {
+        this.set(labels, value);
+      }
+    }
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Counter extends ValueMetric {
+  constructor(name, help, collect) {
+    super('counter', name, help, collect);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends ValueMetric {
+  constructor(name, help, collect) {
+    super('gauge', name, help, collect);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), count: 0, sum: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.count++;
+    series.sum += value;
+  }
+
+  renderSamples() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, collect) {
+    return this.register(new Counter(name, help, collect));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry
+};
@@ -0,0 +1,45 @@
+const MESSAGES = require('../messages');
+
+// Parses /playlist query parameters into filters for PlaylistGenerator.filterEntries
+// List values accept comma-separated alternatives, e.g. ?group=sports,news
+
+const FILTER_PARAMS = ['group', 'type', 'addon', 'q', 'limit', 'exclude'];
+
+function parseList(value) {
+  // Repeated parameters (?group=a&group=b) arrive as arrays
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Returns null when no filter parameters are present, so callers can serve the playlist file as-is
+function parsePlaylistFilters(query = {}) {
+  if (!FILTER_PARAMS.some(param => query[param] !== undefined)) {
+    return null;
+  }
+
+  const filters = {
+    group: parseList(query.group ?? []),
+    type: parseList(query.type ?? []),
+    addon: parseList(query.addon ?? []),
+    q: parseList(query.q ?? []),
+    exclude: parseList(query.exclude ?? []),
+    limit: null
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(MESSAGES.PLAYLIST.INVALID_LIMIT(query.limit));
+    }
+    filters.limit = limit;
+  }
+
+  return filters;
+}
+
+module.exports = {
+  parsePlaylistFilters
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const MESSAGES = require('../messages');
+
+// Encrypts secrets for storage on disk. Uses the OS keychain through Electron's safeStorage when it's
+// available, otherwise AES-256-GCM with a key derived from a passphrase by scrypt.
+// Encrypted values are plain objects ({ scheme, data, ... }) so they can live in a JSON config file.
+
+const SAFE_STORAGE = 'safeStorage';
+const SCRYPT_AES_GCM = 'scrypt-aes-256-gcm';
+
+function isEncryptedSecret(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.scheme === 'string' && typeof value.data === 'string';
+}
+
+function canUseSafeStorage(safeStorage) {
+  return Boolean(safeStorage) && safeStorage.isEncryptionAvailable();
+}
+
+function encryptSecret(plaintext, { safeStorage, passphrase }) {
+  if (canUseSafeStorage(safeStorage)) {
+    return { scheme: SAFE_STORAGE, data: safeStorage.encryptString(plaintext).toString('base64') };
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    scheme: SCRYPT_AES_GCM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptSecret(secret, { safeStorage, passphrase }) {
+  switch (secret.scheme) {
+    case SAFE_STORAGE:
+      if (!canUseSafeStorage(safeStorage)) {
+        throw new Error(MESSAGES.SECRETS.SAFE_STORAGE_UNAVAILABLE);
+      }
+      return safeStorage.decryptString(Buffer.from(secret.data, 'base64'));
+
+    case SCRYPT_AES_GCM: {
+      const key = crypto.scryptSync(passphrase, Buffer.from(secret.salt, 'base64'), 32);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(secret.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+
+      // A wrong passphrase fails the GCM auth check instead of returning garbage
+      try {
+        return Buffer.concat([decipher.update(Buffer.from(secret.data, 'base64')), decipher.final()]).toString('utf8');
+      } catch (error) {
+        throw new Error(MESSAGES.SECRETS.DECRYPT_FAILED);
+      }
+    }
+
+    default:
+      throw new Error(MESSAGES.SECRETS.UNKNOWN_SCHEME(secret.scheme));
+  }
+}
+
+module.exports = {
+  isEncryptedSecret,
+  encryptSecret,
+  decryptSecret
+};
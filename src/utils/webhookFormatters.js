@@ -0,0 +1,135 @@
+// Turns a webhook event ({ id, event, timestamp, message, data }) into the request body for a webhook.
+// Each formatter returns { body, contentType, headers }; bodies that aren't strings are sent as JSON
+
+const APP_NAME = 'Debridio Emby Resolver';
+const MAX_LISTED_CHANNELS = 20;
+
+// Discord embed colours, ntfy priorities (1-5) and ntfy tags (emoji short codes) per event
+const EVENT_STYLES = {
+  'refresh.completed': { title: 'Playlist refreshed', color: 0x28a745, priority: 2, tags: ['white_check_mark'] },
+  'refresh.failed': { title: 'Playlist refresh failed', color: 0xdc3545, priority: 5, tags: ['rotating_light'] },
+  'refresh.degraded': { title: 'Playlist refresh degraded', color: 0xfd7e14, priority: 4, tags: ['warning'] },
+  'channels.added': { title: 'Channels added', color: 0x00ccff, priority: 3, tags: ['tv', 'heavy_plus_sign'] },
+  'channels.removed': { title: 'Channels removed', color: 0x6c757d, priority: 3, tags: ['tv', 'heavy_minus_sign'] },
+  'logo.enhancement.completed': { title: 'Logo enhancement completed', color: 0x6f42c1, priority: 2, tags: ['art'] },
+  'webhook.test': { title: 'Test notification', color: 0x007acc, priority: 3, tags: ['bell'] }
+};
+
+function getStyle(event) {
+  return EVENT_STYLES[event] || { title: event, color: 0x007acc, priority: 3, tags: [] };
+}
+
+// Channel events list their channels; everything else is described by the message alone
+function describeChannels(data) {
+  if (!Array.isArray(data.channels)) {
+    return '';
+  }
+
+  const titles = data.channels.slice(0, MAX_LISTED_CHANNELS).map(channel => channel.title);
+  const more = data.channels.length > titles.length ? `\n…and ${data.channels.length - titles.length} more` : '';
+  return `\n${titles.join('\n')}${more}`;
+}
+
+function formatGeneric(event) {
+  return { body: event, contentType: 'application/json', headers: {} };
+}
+
+function formatDiscord(event) {
+  const style = getStyle(event.event);
+
+  // Plain values become embed fields; lists and nested objects are summarised in the description
+  const fields = Object.entries(event.data)
+    .filter(([, value]) => value !== null && typeof value !== 'object')
+    .slice(0, 10)
+    .map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true }));
+
+  return {
+    body: {
+      username: APP_NAME,
+      embeds: [{
+        title: style.title,
+        description: (event.message + describeChannels(event.data)).slice(0, 4096),
+        color: style.color,
+        timestamp: event.timestamp,
+        fields
+      }]
+    },
+    contentType: 'application/json',
+    headers: {}
+  };
+}
+
+// Publishes to the topic in the webhook URL (e.g. https://ntfy.sh/my-topic) with the message as the body
+function formatNtfy(event) {
+  const style = getStyle(event.event);
+
+  return {
+    body: event.message + describeChannels(event.data),
+    contentType: 'text/plain; charset=utf-8',
+    headers: {
+      'Title': `${APP_NAME}: ${style.title}`,
+      'Priority': String(style.priority),
+      'Tags': style.tags.join(',')
+    }
+  };
+}
+
+const FORMATTERS = {
+  generic: formatGeneric,
+  discord: formatDiscord,
+  ntfy: formatNtfy
+};
+
+// Looks up a dotted path such as data.channels.published in the event
+function lookup(event, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), event);
+}
+
+// Replaces {{path}} placeholders in every string of the template. A string that is only a placeholder
+// takes the value as-is (numbers stay numbers, lists stay lists); missing values become empty strings
+function renderTemplate(template, event) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const value = lookup(event, whole[1]);
+      return value === undefined ? '' : value;
+    }
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const value = lookup(event, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, event));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, event)]));
+  }
+
+  return template;
+}
+
+// A template, when set, replaces the formatter's body but keeps its headers. A string template
+// (e.g. for ntfy) is sent as plain text, anything else as JSON
+function formatPayload(format, event, template = null) {
+  const formatted = (FORMATTERS[format] || formatGeneric)(event);
+  if (template === null || template === undefined) {
+    return formatted;
+  }
+
+  const body = renderTemplate(template, event);
+  return {
+    ...formatted,
+    body,
+    contentType: typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json'
+  };
+}
+
+module.exports = {
+  formatPayload,
+  renderTemplate
+};
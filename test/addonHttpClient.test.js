@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const AddonHttpClient = require('../src/services/addonHttpClient');
+const { silentLogger } = require('./helpers');
+
+test('a request waiting out its retry backoff leaves its host slot to other requests', async (t) => {
+  const finished = [];
+  let slowAttempts = 0;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const server = http.createServer((req, res) => {
+    const failing = req.url === '/slow' && slowAttempts++ === 0;
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      res.writeHead(failing ? 503 : 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    }, 50);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const client = new AddonHttpClient({ playlist: { maxRetries: 1, retryDelay: 500 }, debridio: { perHostConcurrency: 1 } }, silentLogger);
+
+  const slow = client.get(`${baseUrl}/slow`).then(() => finished.push('slow'));
+  // Queued behind the first attempt of /slow, then sent while /slow sleeps before its retry
+  const fast = client.get(`${baseUrl}/fast`).then(() => finished.push('fast'));
+  await Promise.all([slow, fast]);
+
+  assert.strictEqual(slowAttempts, 2);
+  assert.strictEqual(maxInFlight, 1);
+  assert.deepStrictEqual(finished, ['fast', 'slow']);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StremioPlaylistServer = require('../index');
+const Logger = require('../src/utils/logger');
+
+const CONTENT = [{
+  id: 'debridio_us_cnn',
+  title: 'CNN',
+  type: 'tv',
+  streams: [{ url: 'https://cdn.example.com/cnn.m3u8', source: 'Debridio', availability: true }]
+}];
+
+// Serves the API routes on a random port with auth on and one channel published
+async function startServer(t, auth) {
+  const server = new StremioPlaylistServer();
+  server.config = {
+    server: { host: '127.0.0.1', port: 3333 },
+    playlist: { name: 'Test', outputPath: './data/test-playlist.m3u', streamMode: 'redirect', publicUrl: 'http://tv.example.com' },
+    logging: { enableConsole: false },
+    auth: { enabled: true, anonymousScopes: [], ...auth }
+  };
+  server.logger = new Logger(server.config.logging);
+  server.createServices();
+  server.setupMiddleware();
+  server.setupRoutes();
+  server.setLatestContent(CONTENT);
+
+  const httpServer = await new Promise(resolve => {
+    const listener = server.app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  t.after(() => httpServer.close());
+
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  return { server, get: (urlPath, options) => fetch(`${baseUrl}${urlPath}`, { redirect: 'manual', ...options }) };
+}
+
+const READ_TOKEN = { name: 'emby', token: 'read-token', scopes: ['read'] };
+
+function streamTokenOf(url) {
+  return new URL(url).searchParams.get('token');
+}
+
+test('playlist links carry a stream token that only opens /stream', async (t) => {
+  const { get } = await startServer(t, { tokens: [READ_TOKEN] });
+
+  const playlist = await (await get('/playlist?type=tv&token=read-token')).text();
+  const streamUrl = playlist.split('\n').find(line => line.startsWith('http://tv.example.com/stream/'));
+  const streamToken = streamTokenOf(streamUrl);
+  assert.ok(streamToken.startsWith('stream.'));
+
+  const channelPath = new URL(streamUrl).pathname;
+  const stream = await get(`${channelPath}?token=${encodeURIComponent(streamToken)}`);
+  assert.strictEqual(stream.status, 302);
+  assert.strictEqual(stream.headers.get('location'), 'https://cdn.example.com/cnn.m3u8');
+
+  assert.strictEqual((await get(channelPath)).status, 401);
+  assert.strictEqual((await get(`/playlist?token=${encodeURIComponent(streamToken)}`)).status, 403);
+});
+
+test('the published playlist gets the caller\'s stream token added to its links', async (t) => {
+  const { server } = await startServer(t, { tokens: [READ_TOKEN] });
+  const published = server.playlistGenerator.generateM3UContent(CONTENT);
+
+  const [channelId] = server.streamResolver.channels.keys();
+
+  const served = server.playlistGenerator.addStreamToken(published, 'stream.abc.def');
+  assert.strictEqual(served, published.replace(`/stream/${channelId}`, `/stream/${channelId}?token=stream.abc.def`));
+});
+
+test('tuner lineups carry stream tokens and discovery passes the caller token on', async (t) => {
+  const { get } = await startServer(t, { tokens: [READ_TOKEN] });
+
+  const discover = await (await get('/discover.json?token=read-token')).json();
+  assert.strictEqual(discover.LineupURL, 'http://tv.example.com/lineup.json?token=read-token');
+
+  const lineup = await (await get('/lineup.json?token=read-token')).json();
+  assert.ok(streamTokenOf(lineup[0].URL).startsWith('stream.'));
+});
+
+test('basic auth users get stream tokens too, and changing credentials revokes them', async (t) => {
+  const { server, get } = await startServer(t, { users: [{ username: 'admin', password: 'secret' }] });
+  const basic = { headers: { Authorization: `Basic ${Buffer.from('admin:secret').toString('base64')}` } };
+
+  const lineup = await (await get('/lineup.json', basic)).json();
+  const streamPath = `${new URL(lineup[0].URL).pathname}${new URL(lineup[0].URL).search}`;
+  assert.strictEqual((await get(streamPath)).status, 302);
+
+  server.authService.config.users = [{ username: 'admin', password: 'changed' }];
+  assert.strictEqual((await get(streamPath)).status, 401);
+});
+
+test('forged stream tokens are rejected', async (t) => {
+  const { server, get } = await startServer(t, { tokens: [READ_TOKEN] });
+  const token = server.authService.createStreamToken({ name: 'emby' });
+  const forged = `${token.slice(0, token.lastIndexOf('.'))}.${'A'.repeat(43)}`;
+
+  assert.strictEqual((await get(`/stream/x?token=${encodeURIComponent(forged)}`)).status, 401);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const BackupManager = require('../src/services/backupManager');
+const { silentLogger } = require('./helpers');
+
+function playlist(...channels) {
+  return ['#EXTM3U', ...channels.flatMap(([id, title]) => [`#EXTINF:-1 tvg-id="${id}",${title}`, `https://cdn.example.com/${id}.m3u8`])].join('\n');
+}
+
+function backupId(date) {
+  return `playlist.m3u.backup.${date.toISOString().replace(/[:.]/g, '-')}`;
+}
+
+async function createManager(t, config = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-'));
+  t.after(() => fs.remove(dir));
+
+  const outputPath = path.join(dir, 'playlist.m3u');
+  const manager = new BackupManager({ directory: path.join(dir, 'backups'), ...config }, silentLogger, outputPath);
+  return { manager, outputPath };
+}
+
+test('pruning drops backups older than maxAgeDays and keeps the newest maxCount', async (t) => {
+  const { manager } = await createManager(t, { maxCount: 2, maxAgeDays: 7 });
+  const now = Date.now();
+  const ids = [1, 2, 3, 24 * 8].map(hours => backupId(new Date(now - hours * 60 * 60 * 1000)));
+  const write = id => fs.outputFile(path.join(manager.backupsDir, id), playlist(['cnn', 'CNN']));
+
+  await Promise.all([write(ids[0]), write(ids[3])]);
+  await manager.prune();
+  assert.deepStrictEqual(await manager.listBackupIds(), [ids[0]]);
+
+  await Promise.all([write(ids[1]), write(ids[2])]);
+  await manager.prune();
+  assert.deepStrictEqual(await manager.listBackupIds(), ids.slice(0, 2));
+
+  const [latest] = await manager.list();
+  assert.strictEqual(latest.channelCount, 1);
+  assert.strictEqual(latest.createdAt, new Date(now - 60 * 60 * 1000).toISOString());
+});
+
+test('restoring a backup reports the diff and backs up the current playlist first', async (t) => {
+  const { manager, outputPath } = await createManager(t);
+  const id = backupId(new Date(Date.now() - 60 * 60 * 1000));
+  await fs.outputFile(path.join(manager.backupsDir, id), playlist(['cnn', 'CNN'], ['bbc', 'BBC One']));
+  await fs.outputFile(outputPath, playlist(['cnn', 'CNN International'], ['fox', 'Fox']));
+
+  const diff = await manager.diff(id);
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, renamed: 1, streamChanged: 0 });
+
+  assert.strictEqual(await manager.restore(id), true);
+  assert.strictEqual(await fs.readFile(outputPath, 'utf8'), playlist(['cnn', 'CNN'], ['bbc', 'BBC One']));
+
+  const [undo] = await manager.listBackupIds();
+  assert.strictEqual(await manager.read(undo), playlist(['cnn', 'CNN International'], ['fox', 'Fox']));
+});
+
+test('only listed backup ids can be read', async (t) => {
+  const { manager, outputPath } = await createManager(t);
+  await fs.outputFile(outputPath, playlist(['cnn', 'CNN']));
+
+  assert.strictEqual(await manager.read('../playlist.m3u'), null);
+  assert.strictEqual(await manager.restore('missing'), false);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SnapshotStore = require('../src/services/snapshotStore');
+const { diffChannels } = require('../src/utils/channelDiff');
+const { silentLogger } = require('./helpers');
+
+const channel = (id, title, ...streamUrls) => ({ id, title, streamUrls });
+
+test('the diff lists added, removed, renamed and re-streamed channels', () => {
+  const diff = diffChannels(
+    [channel('cnn', 'CNN', 'a', 'b'), channel('espn', 'ESPN', 'c'), channel('hbo', 'HBO', 'd')],
+    [channel('cnn', 'CNN', 'b', 'a'), channel('espn', 'ESPN HD', 'e'), channel('bbc', 'BBC One', 'f')]
+  );
+
+  assert.deepStrictEqual(diff, {
+    summary: { added: 1, removed: 1, renamed: 1, streamChanged: 1 },
+    added: [{ id: 'bbc', title: 'BBC One' }],
+    removed: [{ id: 'hbo', title: 'HBO' }],
+    renamed: [{ id: 'espn', from: 'ESPN', to: 'ESPN HD' }],
+    streamChanged: [{ id: 'espn', title: 'ESPN HD' }]
+  });
+});
+
+async function createStore(t, config = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-'));
+  t.after(() => fs.remove(dataDir));
+  return new SnapshotStore({ dataDir, ...config }, silentLogger);
+}
+
+// Snapshot files are named by timestamp, so keep two records from landing in the same millisecond
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('each snapshot records the changes since the previous refresh and its fetched count', async (t) => {
+  const store = await createStore(t);
+
+  const first = await store.record([{ id: 'cnn', title: 'CNN', streams: [{ url: 'https://cdn.example.com/cnn.m3u8' }] }], 40);
+  assert.strictEqual(first.diff.previousGeneratedAt, null);
+  assert.strictEqual(first.diff.summary.added, 1);
+
+  await nextTick();
+  await store.record([{ id: 'bbc', title: 'BBC One', streams: [] }], 35);
+
+  const changes = await store.getLatestChanges();
+  assert.strictEqual(changes.previousGeneratedAt, first.generatedAt);
+  assert.strictEqual(changes.channelCount, 1);
+  assert.deepStrictEqual(changes.summary, { added: 1, removed: 1, renamed: 0, streamChanged: 0 });
+  assert.strictEqual(await store.getLatestFetchedCount(), 35);
+});
+
+test('only the newest snapshotRetention snapshots are kept', async (t) => {
+  const store = await createStore(t, { snapshotRetention: 2 });
+
+  for (let index = 0; index < 3; index++) {
+    await store.record([{ id: `ch${index}`, title: `Channel ${index}` }]);
+    await nextTick();
+  }
+
+  const files = await store.listSnapshotFiles();
+  assert.strictEqual(files.length, 2);
+  assert.strictEqual((await store.getLatestSnapshot()).channels[0].id, 'ch2');
+});
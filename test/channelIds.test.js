@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PlaylistGenerator = require('../src/services/playlistGenerator');
+const StreamResolver = require('../src/services/streamResolver');
+const { silentLogger } = require('./helpers');
+
+function channel(metaId, title, streams) {
+  return {
+    id: metaId,
+    metaId,
+    title,
+    type: 'tv',
+    addon: 'Live',
+    addonUrl: 'https://live.example.com',
+    streams: streams.map(([addonTitle, url], index) => ({
+      url,
+      addonTitle,
+      titleOccurrence: streams.slice(0, index).filter(([other]) => other === addonTitle).length,
+      source: 'Live',
+      availability: true
+    }))
+  };
+}
+
+test('channels whose titles share a long prefix get their own IDs and streams', async () => {
+  const generator = new PlaylistGenerator({ name: 'Test' }, silentLogger);
+  const content = [
+    channel('sky_sports_football', 'Sky Sports Premier League Football', [['HD', 'https://cdn.example.com/football.m3u8']]),
+    channel('sky_sports_fixtures', 'Sky Sports Premier League Fixtures', [['HD', 'https://cdn.example.com/fixtures.m3u8']])
+  ];
+
+  const entries = generator.buildChannelEntries(content);
+  assert.notStrictEqual(entries[0].channelId, entries[1].channelId);
+
+  const resolver = new StreamResolver({ streamCacheSeconds: 60 }, silentLogger, { fetchFreshStreamUrl: async () => null });
+  resolver.updateChannels(entries);
+  assert.strictEqual(await resolver.resolve(entries[0].channelId), 'https://cdn.example.com/football.m3u8');
+  assert.strictEqual(await resolver.resolve(entries[1].channelId), 'https://cdn.example.com/fixtures.m3u8');
+});
+
+test('channel IDs follow the stream identity rather than its position', () => {
+  const generator = new PlaylistGenerator({ name: 'Test' }, silentLogger);
+  const before = generator.buildChannelEntries([channel('cnn', 'CNN', [['HD', 'https://a/hd.m3u8'], ['SD', 'https://a/sd.m3u8']])]);
+  const after = generator.buildChannelEntries([channel('cnn', 'CNN', [['SD', 'https://b/sd.m3u8']])]);
+
+  assert.strictEqual(after[0].channelId, before[1].channelId);
+});
+
+test('a repeated channel ID gets a suffix and a warning', () => {
+  const warnings = [];
+  const generator = new PlaylistGenerator({ name: 'Test' }, { ...silentLogger, warn: (message) => warnings.push(message) });
+  const duplicate = channel('cnn', 'CNN', [['HD', 'https://a/hd.m3u8']]);
+
+  const entries = generator.buildChannelEntries([duplicate, { ...duplicate }]);
+  assert.strictEqual(entries[1].channelId, `${entries[0].channelId}-2`);
+  assert.strictEqual(warnings.length, 1);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StremioPlaylistServer = require('../index');
+const Logger = require('../src/utils/logger');
+
+function createServer() {
+  const server = new StremioPlaylistServer();
+  server.config = {
+    server: { host: '127.0.0.1', port: 3333 },
+    playlist: { name: 'Test', outputPath: './data/test-playlist.m3u', refreshInterval: '0 0 * * * *' },
+    logging: { level: 'info', enableConsole: false },
+    webhooks: { hooks: [] }
+  };
+  server.logger = new Logger(server.config.logging);
+  server.createServices();
+  return server;
+}
+
+const changedOnly = (...sections) => (section) => sections.includes(section);
+
+test('a reload only rebuilds the services built from the changed sections', () => {
+  const server = createServer();
+  const { stremioService, streamResolver, healthChecker, mediaServerNotifier } = server;
+
+  server.config = { ...server.config, webhooks: { hooks: [{ url: 'http://127.0.0.1/hook' }] } };
+  const rebuilt = server.createServices(changedOnly('webhooks'));
+
+  assert.deepStrictEqual([...rebuilt], ['webhookService']);
+  assert.strictEqual(server.webhookService.hooks.length, 1);
+  assert.strictEqual(server.stremioService, stremioService);
+  assert.strictEqual(server.streamResolver, streamResolver);
+  assert.strictEqual(server.healthChecker, healthChecker);
+  assert.strictEqual(server.mediaServerNotifier, mediaServerNotifier);
+});
+
+test('a rebuilt service takes the services built on it along', () => {
+  const server = createServer();
+  const { epgGenerator, hdhomerunService, mediaServerNotifier } = server;
+
+  server.config = { ...server.config, playlist: { ...server.config.playlist, publicUrl: 'http://tv.example.com' } };
+  const rebuilt = server.createServices(changedOnly('playlist'));
+
+  assert.ok(rebuilt.has('playlistGenerator'));
+  assert.ok(rebuilt.has('stremioService') && rebuilt.has('streamResolver'));
+  assert.notStrictEqual(server.epgGenerator, epgGenerator);
+  assert.notStrictEqual(server.hdhomerunService, hdhomerunService);
+  assert.notStrictEqual(server.mediaServerNotifier, mediaServerNotifier);
+});
+
+test('services kept across a logging change write through the new logger', () => {
+  const server = createServer();
+  const { stremioService } = server;
+
+  const logger = new Logger({ level: 'debug', enableConsole: false });
+  logger.transferFrom(server.logger);
+  server.logger = logger;
+
+  assert.strictEqual(server.createServices(changedOnly('logging')).size, 0);
+  stremioService.logger.debug('kept service entry');
+  assert.ok(logger.buffer.some(entry => entry.message === 'kept service entry' && entry.service === 'StremioService'));
+});
+
+test('a rejected reload puts the .env values back', async () => {
+  const server = createServer();
+  server.envFileValues = { RELOAD_TEST_VALUE: 'from-env-file' };
+  process.env.RELOAD_TEST_VALUE = 'from-env-file';
+  server.loadConfig = async () => {
+    throw new Error('invalid config');
+  };
+
+  try {
+    await server.reloadConfig();
+    assert.strictEqual(process.env.RELOAD_TEST_VALUE, 'from-env-file');
+    assert.deepStrictEqual(server.envFileValues, { RELOAD_TEST_VALUE: 'from-env-file' });
+  } finally {
+    delete process.env.RELOAD_TEST_VALUE;
+  }
+});
+
+test('turning watchConfig on in a reload starts the file watchers', async (t) => {
+  const server = createServer();
+  const previousConfig = server.config;
+  server.config = { ...previousConfig, server: { ...previousConfig.server, watchConfig: false } };
+  server.configPath = './config.json';
+  server.loadConfig = async () => {
+    server.config = { ...previousConfig, server: { ...previousConfig.server, watchConfig: true } };
+  };
+  t.after(() => server.stop());
+
+  await server.reloadConfig();
+  assert.strictEqual(server.watchedFiles.length, 2);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateConfig } = require('../src/utils/configSchema');
+
+test('redirect mode needs a public URL', () => {
+  const { errors } = validateConfig({ playlist: { streamMode: 'redirect' } });
+  assert.ok(errors.some(error => error.startsWith('playlist.publicUrl: is required')));
+
+  const withUrl = validateConfig({ playlist: { streamMode: 'redirect', publicUrl: 'http://192.168.1.10:3333' } });
+  assert.deepStrictEqual(withUrl.errors, []);
+});
+
+test('validation errors never print URLs or secrets', () => {
+  const debridUrl = 'tv-addon.debridio.com/eyJhcGlLZXkiOiJzZWNyZXQifQ/manifest.json';
+  const { errors } = validateConfig({
+    secureAddons: [debridUrl],
+    sources: { enabledAddons: ['http://[broken'] },
+    mediaServers: { notifiers: [{ name: 'emby', type: 'emby', url: 'https://emby.local', apiKey: 42 }] },
+    auth: { enabled: true, tokens: [{ token: ['not-a-string'] }], users: [] },
+    webhooks: { hooks: [{ url: 'discord.com/api/webhooks/123/secret-token' }] }
+  });
+
+  const output = errors.join('\n');
+  assert.match(output, /secureAddons\[0\]: must be an http\(s\) URL, got a hidden string of \d+ characters/);
+  assert.match(output, /webhooks\.hooks\[0\]\.url: must be an http\(s\) URL, got a hidden string/);
+  for (const secret of ['eyJhcGlLZXkiOiJzZWNyZXQifQ', 'http://[broken', 'secret-token']) {
+    assert.ok(!output.includes(secret), `${secret} leaked into: ${output}`);
+  }
+});
+
+test('plain settings still show the offending value', () => {
+  const { errors } = validateConfig({ logging: { level: 'verbose' }, playlist: { refreshInterval: 'hourly' } });
+
+  assert.ok(errors.includes('logging.level: must be one of error, warn, info, debug, got "verbose"'));
+  assert.ok(errors.some(error => error.startsWith('playlist.refreshInterval: is not a valid cron expression: "hourly"')));
+});
+
+test('the shipped config is valid and leaves the data directory to the platform default', () => {
+  const { config, errors } = validateConfig(require('../config.json'));
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(config.storage.dataDir, undefined);
+});
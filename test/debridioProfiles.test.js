@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const StremioService = require('../src/services/stremioService');
+const PlaylistGenerator = require('../src/services/playlistGenerator');
+const { silentLogger } = require('./helpers');
+
+// A minimal Debridio install: one TV catalog with the same channel whichever profile path is asked for
+function startFakeDebridio() {
+  const server = http.createServer((req, res) => {
+    const path = req.url.replace(/^\/[^/]+/, '');
+    const routes = {
+      '/manifest.json': { catalogs: [{ type: 'tv', id: 'tv' }] },
+      '/catalog/tv/tv.json': { metas: [{ id: 'us_cnn', name: 'CNN' }] },
+      '/stream/tv/us_cnn.json': { streams: [{ url: `http://127.0.0.1/${req.url.split('/')[1]}/cnn.m3u8`, title: 'HD' }] }
+    };
+
+    res.writeHead(routes[path] ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(routes[path] || {}));
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+test('the same channel in two Debridio profiles survives the dedupe with distinct ids', async (t) => {
+  const fake = await startFakeDebridio();
+  t.after(() => fake.server.close());
+
+  const service = new StremioService({
+    playlist: { maxRetries: 0 },
+    debridioProfiles: [
+      { label: 'Debridio', url: `${fake.url}/main/manifest.json` },
+      { label: 'Family', url: `${fake.url}/family/manifest.json` }
+    ]
+  }, silentLogger);
+
+  const content = service.filterAndSortContent(await service.fetchDebridioContent({ name: 'Debridio - TV' }), {});
+  assert.deepStrictEqual(content.map(item => [item.profile, item.id]), [
+    ['Debridio', 'debridio_us_cnn'],
+    ['Family', 'debridio_family_us_cnn']
+  ]);
+
+  const generator = new PlaylistGenerator({ name: 'Test' }, silentLogger);
+  const entries = generator.buildChannelEntries(content);
+  const [mainId, familyId] = entries.map(entry => entry.channelId);
+  assert.match(mainId, /^cnn-[0-9a-f]{10}$/);
+  assert.match(familyId, /^cnn-[0-9a-f]{10}$/);
+  assert.notStrictEqual(mainId, familyId);
+});
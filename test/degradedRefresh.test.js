@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const PlaylistGenerator = require('../src/services/playlistGenerator');
+const { silentLogger } = require('./helpers');
+
+function channels(count, { available = count } = {}) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `ch${index}`,
+    title: `Channel ${index}`,
+    type: 'tv',
+    streams: [{ url: `https://cdn.example.com/${index}.m3u8`, availability: index < available }]
+  }));
+}
+
+// A generator whose published playlist has 10 channels
+async function createGenerator(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'degraded-refresh-'));
+  t.after(() => fs.remove(dataDir));
+
+  const generator = new PlaylistGenerator({ name: 'Test', outputPath: path.join(dataDir, 'playlist.m3u'), minChannelPercent: 50 }, silentLogger);
+  await generator.generate(channels(10));
+  return generator;
+}
+
+test('a refresh whose streams mostly fail the health check keeps the published playlist', async (t) => {
+  const generator = await createGenerator(t);
+
+  await assert.rejects(generator.generate(channels(10, { available: 2 }), { count: 10, previousCount: 10 }), error => {
+    assert.strictEqual(error.code, 'DEGRADED_REFRESH');
+    assert.strictEqual(error.channelCount, 2);
+    assert.strictEqual(error.comparedCount, 2);
+    assert.strictEqual(error.baselineCount, 10);
+    assert.match(error.message, /Only 2 of 10 streams passed the health check, below 50% of the 10 channels/);
+    return true;
+  });
+  assert.strictEqual((await generator.getPlaylistStats()).entryCount, 10);
+});
+
+test('a refresh whose addons return far fewer channels reports the fetched counts', async (t) => {
+  const generator = await createGenerator(t);
+
+  await assert.rejects(generator.generate(channels(3), { count: 3, previousCount: 10 }), error => {
+    assert.strictEqual(error.comparedCount, 3);
+    assert.strictEqual(error.baselineCount, 10);
+    assert.match(error.message, /Addons returned 3 channels, below 50% of the 10/);
+    return true;
+  });
+});
+
+test('a smaller lineup with working streams is published', async (t) => {
+  const generator = await createGenerator(t);
+
+  await generator.generate(channels(2), { count: 10, previousCount: 10 });
+  assert.strictEqual((await generator.getPlaylistStats()).entryCount, 2);
+});
+
+test('regenerating an unchanged playlist reports that nothing was written', async (t) => {
+  const generator = await createGenerator(t);
+
+  const { content, written } = await generator.generate(channels(10));
+  assert.strictEqual(content.length, 10);
+  assert.strictEqual(written, false);
+  assert.strictEqual((await generator.generate(channels(9))).written, true);
+});
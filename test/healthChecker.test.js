@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const HealthChecker = require('../src/services/healthChecker');
+const { silentLogger } = require('./helpers');
+
+// Serves one stream of each kind the probe has to tell apart
+async function startStreamServer(t) {
+  const routes = {
+    '/master.m3u8': ['application/vnd.apple.mpegurl', '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1280000\nhd/index.m3u8\n'],
+    '/media.m3u8': ['application/vnd.apple.mpegurl', '\uFEFF#EXTM3U\n#EXTINF:6.0,\nsegment1.ts\n'],
+    '/empty.m3u8': ['application/vnd.apple.mpegurl', '#EXTM3U\n#EXT-X-ENDLIST\n'],
+    '/page.html': ['text/html', '<html>Sign in</html>']
+  };
+  const sockets = new Set();
+  const server = http.createServer((req, res) => {
+    if (req.url === '/live.ts') {
+      // A live MPEG-TS stream never ends; the probe has to stop reading on its own
+      res.writeHead(200, { 'Content-Type': 'video/mp2t' });
+      return res.write(Buffer.alloc(188, 0x47));
+    }
+
+    const route = routes[req.url];
+    res.writeHead(route ? 200 : 404, { 'Content-Type': route ? route[0] : 'text/plain' });
+    res.end(route ? route[1] : '');
+  });
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function createChecker(t, config = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'health-'));
+  t.after(() => fs.remove(dataDir));
+  return new HealthChecker({ timeout: 2000, ...config }, silentLogger, { dataDir });
+}
+
+test('probes accept playable playlists and media and reject the rest with a reason', async (t) => {
+  const baseUrl = await startStreamServer(t);
+  const checker = await createChecker(t);
+
+  const results = {};
+  for (const name of ['master.m3u8', 'media.m3u8', 'live.ts', 'empty.m3u8', 'page.html', 'missing.m3u8']) {
+    results[name] = await checker.probeStream(`${baseUrl}/${name}`);
+  }
+
+  assert.deepStrictEqual(results, {
+    'master.m3u8': { ok: true, reason: null },
+    'media.m3u8': { ok: true, reason: null },
+    'live.ts': { ok: true, reason: null },
+    'empty.m3u8': { ok: false, reason: 'playlist has no segments or variants' },
+    'page.html': { ok: false, reason: 'unexpected content type text/html' },
+    'missing.m3u8': { ok: false, reason: 'HTTP 404' }
+  });
+});
+
+test('a channel that mostly failed earlier checks is dropped with flakyAction drop', async (t) => {
+  const baseUrl = await startStreamServer(t);
+  const checker = await createChecker(t, { minSamples: 3, minSuccessRate: 0.5, flakyAction: 'drop' });
+  const lastChecked = new Date().toISOString();
+  await fs.outputJson(checker.historyPath, { flaky: { results: [false, false], lastChecked } });
+
+  const content = [
+    { id: 'flaky', title: 'Flaky', type: 'tv', streams: [{ url: `${baseUrl}/master.m3u8` }] },
+    { id: 'steady', title: 'Steady', type: 'tv', streams: [{ url: `${baseUrl}/media.m3u8` }, { url: `${baseUrl}/page.html` }] }
+  ];
+  await checker.check(content);
+
+  assert.deepStrictEqual(content[0].health, { ok: true, successRate: 1 / 3, samples: 3, flaky: true });
+  assert.strictEqual(content[0].streams[0].availability, false);
+  assert.deepStrictEqual(content[1].streams.map(stream => stream.availability), [true, false]);
+  assert.strictEqual(content[1].health.flaky, false);
+
+  assert.strictEqual(checker.lastRun.droppedChannels, 1);
+  assert.strictEqual(checker.lastRun.healthyChannels, 2);
+  assert.deepStrictEqual(checker.getStatus().flakyChannels, [{ id: 'flaky', successRate: 0.33 }]);
+  assert.deepStrictEqual((await fs.readJson(checker.historyPath)).flaky.results, [false, false, true]);
+});
@@ -0,0 +1,6 @@
+// Shared fixtures for the test files
+
+// A logger that drops everything, for services whose log output the test doesn't look at
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, child() { return silentLogger; } };
+
+module.exports = { silentLogger };
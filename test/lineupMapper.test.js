@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const LineupMapper = require('../src/services/lineupMapper');
+const { silentLogger } = require('./helpers');
+
+const CONTENT = [
+  { id: 'us_cnn', title: 'CNN' },
+  { id: 'us_espn', title: 'ESPN' },
+  { id: 'us_espn2', title: 'ESPN 2' },
+  { id: 'us_hbo', title: 'HBO' },
+  { id: 'uk_bbc1', title: 'BBC One' }
+];
+
+// Collects warnings so tests can check which rules were reported
+function recordingLogger() {
+  const warnings = [];
+  return { warnings, logger: { ...silentLogger, warn: message => warnings.push(message) } };
+}
+
+async function createMapper(t, lineup, logger = silentLogger) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lineup-'));
+  t.after(() => fs.remove(dir));
+
+  const lineupPath = path.join(dir, 'lineup.json');
+  if (typeof lineup === 'string') {
+    await fs.writeFile(lineupPath, lineup);
+  } else if (lineup) {
+    await fs.writeJson(lineupPath, lineup);
+  }
+  return new LineupMapper({ path: lineupPath }, logger);
+}
+
+test('include and exclude rules pick the channels, and exclude wins', async (t) => {
+  const mapper = await createMapper(t, {
+    include: [{ regex: '^ESPN' }, { id: 'us_cnn' }, { name: 'bbc one' }],
+    exclude: [{ name: 'ESPN 2' }]
+  });
+
+  const result = await mapper.apply(CONTENT);
+  assert.deepStrictEqual(result.map(item => item.id), ['us_cnn', 'us_espn', 'uk_bbc1']);
+});
+
+test('overrides rename, renumber, regroup and relogo without touching the fetched items', async (t) => {
+  const mapper = await createMapper(t, {
+    overrides: [
+      { id: 'us_hbo', displayName: 'HBO East', number: 5, group: 'Movies', logo: 'https://logos.example.com/hbo.png' },
+      { name: 'CNN', number: '2' }
+    ]
+  });
+
+  const result = await mapper.apply(CONTENT);
+  assert.deepStrictEqual(result.map(item => [item.id, item.channelNumber ?? null]), [
+    ['us_cnn', 2],
+    ['us_hbo', 5],
+    ['us_espn', null],
+    ['us_espn2', null],
+    ['uk_bbc1', null]
+  ]);
+
+  const hbo = result.find(item => item.id === 'us_hbo');
+  assert.deepStrictEqual(
+    [hbo.displayName, hbo.groupTitle, hbo.poster, hbo.logoOverride],
+    ['HBO East', 'Movies', 'https://logos.example.com/hbo.png', 'https://logos.example.com/hbo.png']
+  );
+  assert.strictEqual(CONTENT[3].displayName, undefined);
+});
+
+test('invalid and unmatched rules are reported and skipped', async (t) => {
+  const { warnings, logger } = recordingLogger();
+  const mapper = await createMapper(t, {
+    include: [{ regex: '(' }, { group: 'no matcher' }, { id: 'us_cnn' }, { id: 'us_fox' }]
+  }, logger);
+
+  const result = await mapper.apply(CONTENT);
+  assert.deepStrictEqual(result.map(item => item.id), ['us_cnn']);
+  assert.strictEqual(warnings.length, 3);
+  assert.match(warnings[0], /invalid regex \/\(\//);
+  assert.match(warnings[1], /without id, name or regex/);
+  assert.match(warnings[2], /matched no channels: id="us_fox"/);
+});
+
+test('a missing or broken lineup file leaves the content as fetched', async (t) => {
+  assert.strictEqual(await (await createMapper(t, null)).apply(CONTENT), CONTENT);
+  assert.strictEqual(await (await createMapper(t, '{ not json')).apply(CONTENT), CONTENT);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createDriver } = require('../src/services/mediaServerDrivers');
+const MediaServerNotifier = require('../src/services/mediaServerNotifier');
+const { silentLogger } = require('./helpers');
+
+const PLAYLIST_URL = 'http://192.168.1.10:3333/playlist';
+
+// A minimal Emby/Jellyfin Live TV API. Emby serves it under /emby, Jellyfin at the root
+function startFakeServer(prefix, { status = 200, tasks, tunerHosts = [] } = {}) {
+  const requests = [];
+  const routes = {
+    'GET /ScheduledTasks': () => tasks || [{ Id: 'task-1', Key: 'RefreshGuide', Name: 'Refresh Guide' }],
+    'POST /ScheduledTasks/Running/task-1': () => null,
+    'GET /System/Configuration/livetv': () => ({ TunerHosts: tunerHosts }),
+    'POST /LiveTv/TunerHosts': (body) => ({ ...body, Id: body.Id || 'tuner-new' })
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const route = req.url.startsWith(prefix) ? routes[`${req.method} ${req.url.slice(prefix.length)}`] : null;
+      if (status !== 200 || !route) {
+        res.writeHead(route ? status : 404);
+        return res.end();
+      }
+
+      const data = route(body);
+      res.writeHead(data === null ? 204 : 200, { 'Content-Type': 'application/json' });
+      res.end(data === null ? undefined : JSON.stringify(data));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+const DRIVERS = [
+  { type: 'emby', prefix: '/emby', authHeader: ['x-emby-token', 'secret-key'] },
+  { type: 'jellyfin', prefix: '', authHeader: ['authorization', 'MediaBrowser Token="secret-key"'] }
+];
+
+for (const { type, prefix, authHeader: [headerName, headerValue] } of DRIVERS) {
+  test(`${type}: refreshGuide starts the Refresh Guide task`, async (t) => {
+    const fake = await startFakeServer(prefix);
+    t.after(() => fake.server.close());
+
+    const driver = createDriver(type, { url: `${fake.url}/`, apiKey: 'secret-key' });
+    assert.deepStrictEqual(await driver.refreshGuide(), { task: 'Refresh Guide' });
+
+    assert.deepStrictEqual(fake.requests.map(request => `${request.method} ${request.url}`), [
+      `GET ${prefix}/ScheduledTasks`,
+      `POST ${prefix}/ScheduledTasks/Running/task-1`
+    ]);
+    for (const request of fake.requests) {
+      assert.strictEqual(request.headers[headerName], headerValue);
+    }
+  });
+
+  test(`${type}: registerTuner adds the playlist as an M3U tuner once`, async (t) => {
+    const fake = await startFakeServer(prefix);
+    t.after(() => fake.server.close());
+
+    const driver = createDriver(type, { url: fake.url, apiKey: 'secret-key' });
+    assert.deepStrictEqual(await driver.registerTuner(PLAYLIST_URL, 'Resolver'), { id: 'tuner-new', created: true });
+
+    const added = fake.requests.find(request => request.method === 'POST');
+    assert.strictEqual(added.url, `${prefix}/LiveTv/TunerHosts`);
+    assert.strictEqual(added.body.Type, 'm3u');
+    assert.strictEqual(added.body.Url, PLAYLIST_URL);
+    assert.strictEqual(added.body.FriendlyName, 'Resolver');
+  });
+
+  test(`${type}: registerTuner and refreshTuner reuse an existing tuner`, async (t) => {
+    const existing = { Id: 'tuner-1', Type: 'm3u', Url: PLAYLIST_URL, FriendlyName: 'Resolver' };
+    const fake = await startFakeServer(prefix, { tunerHosts: [existing] });
+    t.after(() => fake.server.close());
+
+    const driver = createDriver(type, { url: fake.url, apiKey: 'secret-key' });
+    assert.deepStrictEqual(await driver.registerTuner(PLAYLIST_URL, 'Resolver'), { id: 'tuner-1', created: false });
+    assert.deepStrictEqual(await driver.refreshTuner(PLAYLIST_URL), { tuner: 'tuner-1' });
+
+    const posts = fake.requests.filter(request => request.method === 'POST');
+    assert.strictEqual(posts.length, 1);
+    assert.deepStrictEqual(posts[0].body, existing);
+  });
+
+  test(`${type}: a rejected API key fails the request and is reported by the notifier`, async (t) => {
+    const fake = await startFakeServer(prefix, { status: 401 });
+    t.after(() => fake.server.close());
+
+    const driver = createDriver(type, { url: fake.url, apiKey: 'wrong-key' });
+    await assert.rejects(driver.refreshGuide(), error => error.response?.status === 401);
+
+    const notifier = new MediaServerNotifier({ notifiers: [{ name: 'fake', type, url: fake.url, apiKey: 'wrong-key' }] }, silentLogger, PLAYLIST_URL);
+    const result = await notifier.runAction(notifier.find('fake'));
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error, 'HTTP 401 - check the API key');
+  });
+}
+
+test('refreshGuide fails when the server has no Refresh Guide task', async (t) => {
+  const fake = await startFakeServer('/emby', { tasks: [{ Id: 'task-2', Key: 'RefreshLibrary', Name: 'Scan Media Library' }] });
+  t.after(() => fake.server.close());
+
+  const driver = createDriver('emby', { url: fake.url, apiKey: 'secret-key' });
+  await assert.rejects(driver.refreshGuide(), /Scheduled task RefreshGuide not found/);
+});
+
+test('refreshTuner fails when the playlist is not registered', async (t) => {
+  const fake = await startFakeServer('');
+  t.after(() => fake.server.close());
+
+  const driver = createDriver('jellyfin', { url: fake.url, apiKey: 'secret-key' });
+  await assert.rejects(driver.refreshTuner(PLAYLIST_URL), /No M3U tuner with URL/);
+});
+
+test('createDriver rejects unknown server types', () => {
+  assert.throws(() => createDriver('plex', { url: 'http://127.0.0.1', apiKey: 'x' }), /Unknown media server type: plex/);
+});
+
+test('publish notifiers skip refreshes that left the playlist unchanged', async (t) => {
+  const fake = await startFakeServer('/emby');
+  t.after(() => fake.server.close());
+
+  const notifier = new MediaServerNotifier({ notifiers: [{ name: 'fake', type: 'emby', url: fake.url, apiKey: 'secret-key', notifyOn: 'publish' }] }, silentLogger, PLAYLIST_URL);
+  await notifier.notify({ added: 0, removed: 0 }, false);
+  assert.strictEqual(fake.requests.length, 0);
+
+  await notifier.notify({ added: 0, removed: 0 }, true);
+  assert.strictEqual(notifier.find('fake').successes, 1);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StremioPlaylistServer = require('../index');
+const StremioService = require('../src/services/stremioService');
+const { silentLogger } = require('./helpers');
+
+test('an unreachable addon increments the failure series of resolver_addon_fetches_total', async () => {
+  const server = new StremioPlaylistServer();
+  const addonUrl = 'http://127.0.0.1:2/manifest.json';
+  server.stremioService = new StremioService({ playlist: { maxRetries: 0 } }, silentLogger);
+
+  await server.stremioService.fetchContent({ enabledAddons: [addonUrl], categories: ['movie', 'tv'], filters: {} });
+  server.recordRefreshMetrics('degraded', Date.now());
+
+  const metrics = server.metrics.registry.render();
+  for (const category of ['movie', 'tv']) {
+    assert.match(metrics, new RegExp(`resolver_addon_fetches_total\\{addon="${addonUrl}",category="${category}",result="failure"\\} 1`));
+  }
+  assert.doesNotMatch(metrics, /result="success"/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PlaylistGenerator = require('../src/services/playlistGenerator');
+const { parsePlaylistFilters } = require('../src/utils/playlistFilters');
+const { silentLogger } = require('./helpers');
+
+const CONTENT = [
+  { id: 'cnn', title: 'CNN', type: 'tv', addon: 'Debridio', groupTitle: 'News', streams: [{ url: 'https://cdn.example.com/cnn.m3u8', availability: true }] },
+  { id: 'espn', title: 'ESPN', type: 'tv', addon: 'Debridio', groupTitle: 'Sports', streams: [{ url: 'https://cdn.example.com/espn.m3u8', availability: true }] },
+  { id: 'espn2', title: 'ESPN 2', type: 'tv', addon: 'Debridio', groupTitle: 'Sports', streams: [{ url: 'https://cdn.example.com/espn2.m3u8', availability: true }] },
+  { id: 'movie', title: 'Night of the News', type: 'movie', addon: 'Cinemeta', groupTitle: 'Movies', streams: [{ url: 'https://cdn.example.com/movie.mp4', availability: true }] }
+];
+
+function channelsOf(playlist) {
+  return playlist.split('\n')
+    .filter(line => line.startsWith('#EXTINF:'))
+    .map(line => line.match(/tvg-chno="(\d+)".*,(.*)$/).slice(1).join(' '));
+}
+
+test('no filter parameters means the published playlist is served as-is', () => {
+  assert.strictEqual(parsePlaylistFilters({ token: 'abc' }), null);
+});
+
+test('list parameters accept commas and repeats, case-insensitively', () => {
+  assert.deepStrictEqual(parsePlaylistFilters({ group: ['Sports, NEWS', 'kids'], limit: '5' }), {
+    group: ['sports', 'news', 'kids'],
+    type: [],
+    addon: [],
+    q: [],
+    exclude: [],
+    limit: 5
+  });
+});
+
+test('a limit that is not a positive integer is rejected', () => {
+  for (const limit of ['0', '-1', '2.5', 'ten']) {
+    assert.throws(() => parsePlaylistFilters({ limit }), /Invalid limit/);
+  }
+});
+
+test('filtered playlists keep the full playlist\'s channel numbers', () => {
+  const generator = new PlaylistGenerator({ name: 'Test' }, silentLogger);
+  const render = query => channelsOf(generator.generateM3UContent(CONTENT, parsePlaylistFilters(query)));
+
+  assert.deepStrictEqual(render({ group: 'sports' }), ['2 ESPN', '3 ESPN 2']);
+  assert.deepStrictEqual(render({ group: 'news,movies' }), ['1 CNN', '4 Night of the News']);
+  // q searches titles only, so CNN's News group doesn't match
+  assert.deepStrictEqual(render({ q: 'news' }), ['4 Night of the News']);
+  assert.deepStrictEqual(render({ q: 'news', type: 'tv' }), []);
+  assert.deepStrictEqual(render({ addon: 'cinemeta' }), ['4 Night of the News']);
+  assert.deepStrictEqual(render({ exclude: 'espn 2', type: 'tv', limit: '2' }), ['1 CNN', '2 ESPN']);
+});
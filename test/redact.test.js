@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MESSAGES = require('../src/messages');
+const { redactString, redactValue } = require('../src/utils/redact');
+
+test('redactValue masks camelCase secret keys', () => {
+  const redacted = redactValue({ debridApiKey: 'abcd1234secret', userToken: 't9', rdKey: 'zz', realDebrid: 'rd', label: 'Main' });
+  assert.deepStrictEqual(redacted, { debridApiKey: '***', userToken: '***', rdKey: '***', realDebrid: '***', label: 'Main' });
+});
+
+test('redactValue masks snake_case, kebab-case and upper-case secret keys', () => {
+  const redacted = redactValue({ api_key: 'a', 'access-token': 'b', API_KEY: 'c', APIKey: 'd', password: 'e', realdebrid: 'f' });
+  assert.deepStrictEqual(redacted, { api_key: '***', 'access-token': '***', API_KEY: '***', APIKey: '***', password: '***', realdebrid: '***' });
+});
+
+test('redactValue keeps keys whose last word is not a secret', () => {
+  const value = { keyboard: 'k', tokenCount: '3', secretStore: 'file', authScope: 'admin', name: 'x' };
+  assert.deepStrictEqual(redactValue(value), value);
+});
+
+test('redactString masks camelCase keys in embedded JSON', () => {
+  const text = 'config: {"debridApiKey":"abcd1234secret","userToken":"t9","rdKey":"zz","label":"Main"}';
+  assert.strictEqual(redactString(text), 'config: {"debridApiKey":"***","userToken":"***","rdKey":"***","label":"Main"}');
+});
+
+test('redactString masks camelCase query parameters and addon config pairs', () => {
+  assert.strictEqual(
+    redactString('https://addon.example/manifest.json?userToken=t9&lang=en|debridApiKey=abcd'),
+    'https://addon.example/manifest.json?userToken=***&lang=en|debridApiKey=***'
+  );
+});
+
+test('the detected Debridio config is logged by its setting names only', () => {
+  const message = MESSAGES.DEBRIDIO.CHANNEL_CONFIG_DETECTED({ debridApiKey: 'abcd1234secret', provider: 'realdebrid' });
+  assert.strictEqual(message, 'Detected channel configuration with settings: debridApiKey, provider');
+});
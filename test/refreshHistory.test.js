@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const RefreshHistory = require('../src/services/refreshHistory');
+const StremioService = require('../src/services/stremioService');
+const { silentLogger } = require('./helpers');
+
+test('an unreachable addon is recorded as a failing source with its reason', async (t) => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'refresh-history-'));
+  t.after(() => fs.remove(dataDir));
+
+  const addonUrl = 'http://127.0.0.1:2/manifest.json';
+  const stremioService = new StremioService({ playlist: { maxRetries: 0 } }, silentLogger);
+  await stremioService.fetchContent({ enabledAddons: [addonUrl], categories: ['movie', 'tv'], filters: {} });
+
+  const history = new RefreshHistory({ dataDir }, silentLogger);
+  const entry = await history.record({
+    trigger: 'manual',
+    startedAt: new Date().toISOString(),
+    outcome: 'degraded',
+    stages: {},
+    channels: {},
+    sources: stremioService.sourceResults
+  });
+
+  assert.strictEqual(entry.failedSources, 1);
+  assert.strictEqual(entry.addons[0].source, addonUrl);
+  assert.strictEqual(entry.addons[0].failedCategories, 2);
+  assert.match(entry.addons[0].errors[0], /^movie: Manifest unavailable: .*ECONNREFUSED/);
+
+  const summary = await history.getSummary();
+  assert.deepStrictEqual(summary.failingSources, [{ source: addonUrl, failedRuns: 1 }]);
+});
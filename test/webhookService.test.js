@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebhookService = require('../src/services/webhookService');
+const { silentLogger } = require('./helpers');
+
+// Answers each request with the next queued status and records what it was sent
+async function startReceiver(t, statuses, headers = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() ?? 200, headers);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+async function createService(t, config) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-'));
+  t.after(() => fs.remove(dataDir));
+  return new WebhookService({ retryDelay: 1, ...config }, silentLogger, { dataDir });
+}
+
+test('a failed delivery is retried and the signature covers the timestamp and body', async (t) => {
+  const receiver = await startReceiver(t, [500]);
+  const service = await createService(t, { hooks: [{ name: 'ops', url: receiver.url, secret: 'shh' }] });
+
+  const [delivery] = await service.emit('refresh.completed', { channels: 3 });
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 200]);
+  assert.strictEqual(service.hooks[0].delivered, 1);
+
+  const { headers, body } = receiver.requests[1];
+  const expected = crypto.createHmac('sha256', 'shh').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.deepStrictEqual((await service.load()).map(entry => entry.id), [delivery.id]);
+});
+
+test('client errors other than 429 are not retried', async (t) => {
+  const receiver = await startReceiver(t, [404]);
+  const service = await createService(t, { hooks: [{ url: receiver.url }] });
+
+  const [delivery] = await service.emit('refresh.completed');
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(receiver.requests.length, 1);
+  assert.strictEqual(service.hooks[0].failed, 1);
+});
+
+test('Retry-After and the backoff are capped', async (t) => {
+  const service = await createService(t, { retryDelay: 5000 });
+  const rateLimited = { response: { status: 429, headers: { 'retry-after': '86400' } } };
+
+  assert.strictEqual(service.getRetryDelay(rateLimited, 1), 60000);
+  assert.strictEqual(service.getRetryDelay({}, 2), 10000);
+  assert.strictEqual(service.getRetryDelay({}, 10), 60000);
+});
+
+test('a delivery with maxRetries 0 makes a single attempt', async (t) => {
+  const receiver = await startReceiver(t, [503, 503], { 'Retry-After': '86400' });
+  const service = await createService(t, { hooks: [{ url: receiver.url }] });
+  const payload = service.createPayload('webhook.test');
+
+  const delivery = await service.deliver(service.hooks[0], payload, { maxRetries: 0 });
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(receiver.requests.length, 1);
+});